@@ -28,6 +28,7 @@ module.exports = function(grunt) {
         'lib/helpers/*.js',
         'lib/providers/*.js',
         'lib/repositories/*.js',
+        'lib/migrations/*.js',
         'test/*.js'
       ]
     },
@@ -16,40 +16,139 @@ var folderRepo = require('./repositories/folder.js');
 var messageRepo = require('./repositories/message.js');
 var mailboxConfigRepo = require('./repositories/mailboxconfig.js');
 var contextConfigRepo = require('./repositories/contextconfig.js');
+var retentionPolicyRepo = require('./repositories/retentionpolicy.js');
+var messageMetadataRepo = require('./repositories/messagemetadata.js');
+var messageRecordingRepo = require('./repositories/messagerecording.js');
+var tagRepo = require('./repositories/tag.js');
+var messageTagRepo = require('./repositories/messagetag.js');
+var auditRepo = require('./repositories/audit.js');
+var providers = require('./helpers/provider.js');
+var migrator = require('./helpers/migrator.js');
+var schema = require('./helpers/schema.js');
+var transaction = require('./helpers/transaction.js');
+var migrations = require('./migrations/index.js');
+var errors = require('./errors.js');
 
-// keep a reference to repositories per connection string 
+// keep a reference to repositories per built-in provider and settings
 var cache = {};
 
+/**
+ * Returns an object keyed by repositories using the given config.
+ *
+ * @param {object} config - database configuration with a loaded provider
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repositories - an object keyed by repositories
+ */
+function createRepositories(config, dependencies) {
+  return {
+    context: contextRepo(config, dependencies),
+    mailbox: mailboxRepo(config, dependencies),
+    folder: folderRepo(config, dependencies),
+    message: messageRepo(config, dependencies),
+    contextConfig: contextConfigRepo(config, dependencies),
+    mailboxConfig: mailboxConfigRepo(config, dependencies),
+    retentionPolicy: retentionPolicyRepo(config, dependencies),
+    messageMetadata: messageMetadataRepo(config, dependencies),
+    messageRecording: messageRecordingRepo(config, dependencies),
+    tag: tagRepo(config, dependencies),
+    messageTag: messageTagRepo(config, dependencies),
+    audit: auditRepo(config, dependencies)
+  };
+}
+
+/**
+ * Returns the key of the data access layer for the given config in the cache.
+ * Custom provider objects and factories are not cached since they are not
+ * identified by their connection string.
+ *
+ * @param {object} dbConfig - database configuration
+ * @returns {string} key - cache key, undefined if it should not be cached
+ */
+function cacheKey(dbConfig) {
+  if (typeof(dbConfig.provider) !== 'string') {
+    return undefined;
+  }
+
+  return JSON.stringify([
+    dbConfig.provider,
+    dbConfig.connectionString,
+    !!dbConfig.softDelete,
+    dbConfig.trashDays
+  ]);
+}
+
 /**
  * Returns a repositories object that can be used to interact with voicemail
  * related repositories.
  *
- * @param {object} dbConfig - database configuration
+ * @param {object} dbConfig - database configuration, provider can either be
+ *   the name of a built-in provider or a custom provider object or factory
  * @param {object} dependencies - object keyed by module dependencies
  * @returns {Object} repositories - an object keyed by repositories
  */
 module.exports = function(dbConfig, dependencies) {
-  if (cache[dbConfig.connectionString]) {
+  var key = cacheKey(dbConfig);
+
+  if (key && cache[key]) {
     dependencies.logger.info('Loaded data access layer from cache');
 
-    return cache[dbConfig.connectionString];
+    return cache[key];
   } else {
     dependencies.logger = dependencies.logger.child({
       component: 'voicemail-data'
     });
 
-    var repos = {
-      context: contextRepo(dbConfig, dependencies),
-      mailbox: mailboxRepo(dbConfig, dependencies),
-      folder: folderRepo(dbConfig, dependencies),
-      message: messageRepo(dbConfig, dependencies),
-      contextConfig: contextConfigRepo(dbConfig, dependencies),
-      mailboxConfig: mailboxConfigRepo(dbConfig, dependencies)
+    // load the provider once so every repository shares the same instance
+    var config = Object.keys(dbConfig).reduce(function(copy, key) {
+      copy[key] = dbConfig[key];
+
+      return copy;
+    }, {});
+    config.provider = providers.load(dbConfig, dependencies);
+
+    var repos = createRepositories(config, dependencies);
+    var transactions = transaction(dependencies);
+
+    var schemaMigrator = migrator(config.provider, migrations, dependencies);
+    var schemaHelper = schema(Object.keys(repos).map(function(name) {
+      return repos[name];
+    }), schemaMigrator, config.provider, dependencies);
+
+    repos.migrate = schemaMigrator.migrate.bind(schemaMigrator);
+    repos.schemaVersion = schemaMigrator.schemaVersion.bind(schemaMigrator);
+    repos.createSchema = schemaHelper.createSchema;
+    repos.dropSchema = schemaHelper.dropSchema;
+
+    /**
+     * Runs work inside a single transaction. work is given an object keyed
+     * by repositories bound to the transaction and must return a promise.
+     * The transaction is committed if that promise is fulfilled and rolled
+     * back otherwise.
+     *
+     * @param {Function} work - a function taking transaction bound
+     *   repositories and returning a promise
+     * @returns {Q} promise - a promise containing the result of work
+     */
+    repos.transaction = function(work) {
+      dependencies.logger.trace('db.transaction called');
+
+      return transactions.run(config.provider, function(bound) {
+        var boundConfig = Object.create(config);
+        boundConfig.provider = bound;
+
+        return work(createRepositories(boundConfig, dependencies));
+      });
     };
 
     dependencies.logger.info('Data access layer created');
 
-    cache[dbConfig.connectionString] = repos;
+    if (key) {
+      cache[key] = repos;
+    }
+
     return repos;
   }
 };
+
+// error types so callers can check for specific failures
+module.exports.errors = errors;
@@ -0,0 +1,35 @@
+/**
+ * Errors raised by the data access layer.
+ *
+ * @module errors
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var util = require('util');
+
+/**
+ * Error raised when saving a message would exceed a mailbox quota.
+ *
+ * @param {string} message - error message
+ * @param {string} key - config key of the exceeded limit (maxmsg or maxsecs)
+ * @param {integer} limit - value of the exceeded limit
+ */
+function QuotaExceededError(message, key, limit) {
+  Error.call(this);
+  Error.captureStackTrace(this, QuotaExceededError);
+
+  this.name = 'QuotaExceededError';
+  this.message = message;
+  this.key = key;
+  this.limit = limit;
+}
+util.inherits(QuotaExceededError, Error);
+
+module.exports = {
+  QuotaExceededError: QuotaExceededError
+};
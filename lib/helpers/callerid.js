@@ -0,0 +1,60 @@
+/**
+ * Parses caller ids into a name and a number.
+ *
+ * @module callerid
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the given number without the separators people use when writing
+ * phone numbers so numbers can be compared.
+ *
+ * @param {string} number - phone number
+ * @returns {string} number - normalized phone number or null if empty
+ */
+function normalizeNumber(number) {
+  var normalized = String(number || '').replace(/[\s().\-]/g, '');
+
+  return normalized || null;
+}
+
+/**
+ * Returns the name and number of the given caller id. Caller ids are
+ * formatted as "Name" <number>, Name <number>, <number>, a bare number or a
+ * bare name. Missing parts are null.
+ *
+ * @param {string} callerId - raw caller id
+ * @returns {object} caller - object with name and number
+ */
+function parse(callerId) {
+  var text = String(callerId || '').trim();
+  var match = /^(.*?)\s*<([^>]*)>$/.exec(text);
+  var name = text;
+  var number = null;
+
+  if (match) {
+    name = match[1];
+    number = normalizeNumber(match[2]);
+  } else if (/^\+?[\d\s().\-]+$/.test(text) && /\d/.test(text)) {
+    name = '';
+    number = normalizeNumber(text);
+  }
+
+  // strip quotes around the name
+  name = name.trim().replace(/^"(.*)"$/, '$1').trim();
+
+  return {
+    name: name || null,
+    number: number
+  };
+}
+
+module.exports = {
+  parse: parse,
+  normalizeNumber: normalizeNumber
+};
@@ -12,6 +12,18 @@
 
 var Case = require('case');
 var util = require('util');
+// node-sql does not export its node classes, keep these internal modules
+// required here only
+var BinaryNode = require('sql/lib/node/binary');
+var TernaryNode = require('sql/lib/node/ternary');
+var ParameterNode = require('sql/lib/node/parameter');
+
+// errors raised by each dialect when querying a table that does not exist
+var missingTableErrors = {
+  sqlite: /no such table/,
+  mysql: /ER_NO_SUCH_TABLE/,
+  postgres: /relation "[^"]+" does not exist/
+};
 
 /**
  * Returns a common API for interacting with repositories.
@@ -55,6 +67,39 @@ function createApi(dependencies) {
       return instance;
     },
 
+    /**
+     * Returns a node-sql node applying an operator node-sql has no method
+     * for, such as @@ or LIKE ... ESCAPE. Operands that are not node-sql
+     * columns or nodes are passed as query parameters.
+     *
+     * @param {object} left - left operand
+     * @param {string} operator - SQL operator
+     * @param {object} right - right operand
+     * @param {string} separator - optional keyword following the right
+     *   operand, such as ESCAPE
+     * @param {object} extra - operand following the separator
+     * @returns {object} node - node-sql node usable in a where clause
+     */
+    operation: function(left, operator, right, separator, extra) {
+      dependencies.logger.trace('common.operation called');
+
+      if (separator) {
+        return new TernaryNode({
+          left: ParameterNode.getNodeOrParameterNode(left),
+          operator: operator,
+          middle: ParameterNode.getNodeOrParameterNode(right),
+          separator: separator,
+          right: ParameterNode.getNodeOrParameterNode(extra)
+        });
+      }
+
+      return new BinaryNode({
+        left: ParameterNode.getNodeOrParameterNode(left),
+        operator: operator,
+        right: ParameterNode.getNodeOrParameterNode(right)
+      });
+    },
+
     /**
      * Creates the given table using the given provider.
      *
@@ -72,6 +117,54 @@ function createApi(dependencies) {
       return provider.runQuery(query);
     },
 
+    /**
+     * Drops the given table if it exists using the given provider.
+     *
+     * @param {object} table - a node-sql table definition
+     * @param {object} provider - a database specific provider instance
+     * @returns {Q} promise - a promise containing the result of dropping
+     *                        the table
+     */
+    dropTable: function(table, provider) {
+      dependencies.logger.trace('common.dropTable called');
+
+      var query = table.drop().ifExists().toQuery();
+
+      return provider.runQuery(query);
+    },
+
+    /**
+     * Returns whether the given table exists using the given provider. Only
+     * the error raised for a missing table counts as the table not existing,
+     * any other error is passed on.
+     *
+     * @param {object} table - a node-sql table definition
+     * @param {object} provider - a database specific provider instance
+     * @returns {Q} promise - a promise containing true if the table exists
+     */
+    tableExists: function(table, provider) {
+      dependencies.logger.trace('common.tableExists called');
+
+      var query = table
+        .select(table.star())
+        .from(table)
+        .limit(0)
+        .toQuery();
+
+      var missing = missingTableErrors[provider.getDialect()];
+
+      return provider.runQuery(query)
+        .then(function() {
+          return true;
+        }, function(err) {
+          if (missing && missing.test(String(err.code || err))) {
+            return false;
+          }
+
+          throw err;
+        });
+    },
+
     /**
      * Creates an index for the table using the name and fields given.
      *
@@ -79,10 +172,11 @@ function createApi(dependencies) {
      * @param {string} name - index name
      * @param {string[]} fields - array of field names
      * @param {object} provider - database provider
+     * @param {bool} unique - whether the index is unique, defaults to true
      * @returns {Q} promise - a promise containing the result of creating
      *                        the index
      */
-    createIndex: function(table, name, fields, provider) {
+    createIndex: function(table, name, fields, provider, unique) {
       dependencies.logger.trace('common.createIndex called');
 
       fields = (Array.isArray(fields)) ? fields: [fields];
@@ -90,7 +184,12 @@ function createApi(dependencies) {
       var indexFields = fields.map(function(field) {
         return table[field];
       });
-      var index = table.indexes().create(name).unique();
+      var index = table.indexes().create(name);
+
+      if (unique !== false) {
+        index = index.unique();
+      }
+
       var query = index.on.apply(index, indexFields).toQuery();
 
       return provider.runQuery(query);
@@ -171,6 +270,7 @@ function createApi(dependencies) {
      * @param {pbject} instance - the instance to save to the database
      * @param {object} table - a node-sql table definition
      * @param {object} provider - a database specific provider instance
+     * @returns {Q} promise - a promise containing the id of the saved record
      */
     save: function(instance, table, provider) {
       dependencies.logger.trace('common.save called');
@@ -196,12 +296,72 @@ function createApi(dependencies) {
 
           return all;
         }, []);
-        query = table
+        query = provider.forInsert(table
           .insert.apply(table, fields)
-          .toQuery();
+          .toQuery());
       }
 
-      return provider.runQuery(query);
+      return provider.runQuery(query)
+        .then(function(result) {
+          return instance.getId() || provider.getInsertId(result);
+        });
+    },
+
+    /**
+     * Locks the row of the narrowest scope of the instance and returns
+     * whether another record of the table has the same scope. Unique indexes
+     * do not cover records with a null scope column, so this has to run in
+     * the transaction saving the instance for records of the same scope to be
+     * saved one at a time.
+     *
+     * @param {object} instance - the instance about to be saved
+     * @param {object} table - a node-sql table definition
+     * @param {object} provider - a provider bound to a transaction
+     * @param {object[]} scopes - scope columns from the narrowest, each with
+     *   the column name, the node-sql table it references and the related
+     *   instance if there is one
+     * @param {object} where - optional node-sql where clause other records
+     *   must also match
+     * @returns {Q} promise - a promise containing true if another record
+     *   has the same scope
+     */
+    hasDuplicate: function(instance, table, provider, scopes, where) {
+      dependencies.logger.trace('common.hasDuplicate called');
+
+      var lock = scopes.filter(function(scope) {
+        return scope.related;
+      })[0];
+      var lockQuery = lock.table
+        .select(lock.table.id)
+        .from(lock.table)
+        .where(lock.table.id.equals(lock.related.getId()))
+        .toQuery();
+
+      where = scopes.reduce(function(all, scope) {
+        var matches = scope.related ?
+          table[scope.column].equals(scope.related.getId()):
+          table[scope.column].isNull();
+
+        return all ? all.and(matches): matches;
+      }, where);
+
+      if (instance.getId()) {
+        where = where.and(table.id.notEquals(instance.getId()));
+      }
+
+      var query = table
+        .select(table.id)
+        .from(table)
+        .where(where)
+        .toQuery();
+
+      return provider.runQuery(provider.forUpdate(lockQuery))
+        .then(function() {
+          return provider.runQuery(query);
+        })
+        .then(function(result) {
+          return result.rows.length > 0;
+        });
     },
 
     remove: function(instance, table, provider) {
@@ -221,7 +381,7 @@ function createApi(dependencies) {
    *
    * @param {object} row - a database row
    * @param {function} constructor - a constructor for the repository being
-   *                                 operated on
+   *                                 operated on, called with the id and row
    */
   function instanceFromRow(row, constructor) {
     dependencies.logger.trace('common.instanceFromRow called');
@@ -229,7 +389,7 @@ function createApi(dependencies) {
     var instance = null;
 
     if (row) {
-      instance = constructor(row.id);
+      instance = constructor(row.id, row);
       Object.keys(instance).forEach(function(key) {
         if (instance[key] === undefined) {
           var field = Case.snake(key);
@@ -262,13 +422,16 @@ function createApi(dependencies) {
         var referenceField = column.name.split('_')[1];
         var method = util.format('get%s', Case.title(referenceName));
 
-        if (instance[method]) {
+        // optional references without a related record are left out
+        if (instance[method] && instance[method]()) {
           all = step(all, column.name, instance[method]().getId());
         }
       } else {
         var property = Case.camel(column.name);
 
-        if (instance[property] && typeof(instance[property]) !== 'function') {
+        // falsy values such as 0, '' or null are saved, only undefined is not
+        if (instance[property] !== undefined &&
+            typeof(instance[property]) !== 'function') {
           all = step(all, column.name, instance[property]);
         }
       }
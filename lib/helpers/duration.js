@@ -0,0 +1,49 @@
+/**
+ * Parses message durations.
+ *
+ * @module duration
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the given duration as a whole number of seconds. Durations used to
+ * be stored as text so legacy values such as '50', '50s', '1:30' or
+ * '0:01:30' are accepted. Missing or unparseable durations are 0.
+ *
+ * @param {integer|string} value - duration to parse
+ * @returns {integer} seconds - duration in seconds
+ */
+function parse(value) {
+  if (typeof(value) === 'number') {
+    return isFinite(value) ? Math.max(Math.round(value), 0): 0;
+  }
+
+  var text = String(value === null || value === undefined ? '': value)
+    .trim()
+    .toLowerCase();
+
+  // plain seconds, optionally with a unit suffix
+  var seconds = /^(\d+(\.\d+)?)\s*(s|sec|secs|seconds)?$/.exec(text);
+  if (seconds) {
+    return Math.round(+seconds[1]);
+  }
+
+  // [hours:]minutes:seconds
+  var clock = /^(\d+:)?\d+:\d+$/.exec(text);
+  if (clock) {
+    return text.split(':').reduce(function(total, part) {
+      return total * 60 + (+part);
+    }, 0);
+  }
+
+  return 0;
+}
+
+module.exports = {
+  parse: parse
+};
@@ -0,0 +1,283 @@
+/**
+ * Schema migrations with version tracking.
+ *
+ * @module migrator
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var util = require('util');
+var moment = require('moment');
+var Q = require('q');
+
+/**
+ * Returns an API for migrating the database schema between versions.
+ *
+ * Version 0 is the schema created by the repositories createTable and
+ * createIndexes functions before migrations were introduced. Every migration
+ * step is an object containing a version, a description and up/down functions
+ * that take the provider and a node-sql generator and return an array of
+ * queries to run. Data conversions that cannot be expressed as a query can be
+ * given as functions taking the migration transaction and returning a
+ * promise.
+ *
+ * Each step runs in its own transaction. MySQL commits implicitly after every
+ * schema change though, so a step failing there may leave the schema changes
+ * it made before the failure applied without recording its version.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object[]} steps - migration steps ordered by version
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(provider, steps, dependencies) {
+  var common = require('./common.js')(dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+  var table = sqlGenerator.define({
+    name: 'vm_schema_version',
+    columns: [{
+      name: 'version',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'description',
+      dataType: 'varchar(255)',
+      notNull: true
+    }, {
+      name: 'applied',
+      dataType: provider.getDateType(),
+      notNull: true
+    }]
+  });
+
+  steps.forEach(function(step, index) {
+    if (step.version !== index + 1) {
+      throw new Error(util.format(
+        'Migration "%s" has version %s, expected %s',
+        step.description, step.version, index + 1));
+    }
+  });
+
+  return {
+    /**
+     * Migrates the schema to the given version, applying or rolling back
+     * migration steps as needed. Migrates to the latest version if no version
+     * is given.
+     *
+     * @param {integer} toVersion - the schema version to migrate to
+     * @returns {Q} promise - a promise containing the resulting schema version
+     */
+    migrate: function(toVersion) {
+      dependencies.logger.trace('migrator.migrate called');
+
+      var latest = steps.length;
+      toVersion = (toVersion === undefined) ? latest: toVersion;
+
+      if (toVersion !== +toVersion || toVersion < 0 || toVersion > latest) {
+        return Q.reject(new Error(util.format(
+          'Unknown schema version %s, latest is %s', toVersion, latest)));
+      }
+
+      return this.schemaVersion()
+        .then(function(current) {
+          var pending;
+
+          if (toVersion >= current) {
+            pending = steps.slice(current, toVersion).map(function(step) {
+              return apply.bind(null, step);
+            });
+          } else {
+            pending = steps.slice(toVersion, current).reverse()
+              .map(function(step) {
+                return rollback.bind(null, step);
+              });
+          }
+
+          /*jshint newcap:false*/
+          return pending.reduce(function(series, migration) {
+            return series.then(migration);
+          }, Q());
+        })
+        .then(function() {
+          dependencies.logger.info({
+            version: toVersion
+          }, 'Schema migrated');
+
+          return toVersion;
+        });
+    },
+
+    /**
+     * Returns the current schema version, 0 if no migration has been applied.
+     *
+     * @returns {Q} promise - a promise containing the schema version
+     */
+    schemaVersion: function() {
+      dependencies.logger.trace('migrator.schemaVersion called');
+
+      var query = table
+        .select(table.version.max().as('version'))
+        .from(table)
+        .toQuery();
+
+      return common.createTable(table, provider)
+        .then(function() {
+          return provider.runQuery(query);
+        })
+        .then(function(result) {
+          var row = result.rows[0];
+
+          return (row && row.version) ? +row.version: 0;
+        });
+    },
+
+    /**
+     * Records every migration step up to the given version as applied without
+     * running them. Used when the schema has been created from the latest
+     * table definitions.
+     *
+     * @param {integer} toVersion - the schema version to record
+     * @returns {Q} promise - a promise containing the schema version
+     */
+    stamp: function(toVersion) {
+      dependencies.logger.trace('migrator.stamp called');
+
+      toVersion = (toVersion === undefined) ? steps.length: toVersion;
+
+      return this.schemaVersion()
+        .then(function(current) {
+          /*jshint newcap:false*/
+          return steps.slice(current, toVersion).reduce(function(series, step) {
+            return series.then(function() {
+              return provider.runQuery(versionInsert(step));
+            });
+          }, Q());
+        })
+        .then(function() {
+          return toVersion;
+        });
+    },
+
+    /**
+     * Drops the schema version table.
+     *
+     * @returns {Q} promise - a promise containing the result of dropping
+     *                        the table
+     */
+    dropTable: function() {
+      dependencies.logger.trace('migrator.dropTable called');
+
+      return common.dropTable(table, provider);
+    }
+  };
+
+  /**
+   * Runs the up queries for the migration step and records the new version
+   * inside a single transaction.
+   *
+   * @param {object} step - migration step
+   * @returns {Q} promise - a promise containing the result of the migration
+   */
+  function apply(step) {
+    dependencies.logger.trace('migrator.apply called');
+
+    var queries = step.up(provider, sqlGenerator);
+    queries.push(versionInsert(step));
+
+    return runInTransaction(queries)
+      .then(function() {
+        dependencies.logger.debug({
+          version: step.version,
+          description: step.description
+        }, 'Migration applied');
+      });
+  }
+
+  /**
+   * Runs the down queries for the migration step and removes its version
+   * inside a single transaction.
+   *
+   * @param {object} step - migration step
+   * @returns {Q} promise - a promise containing the result of the rollback
+   */
+  function rollback(step) {
+    dependencies.logger.trace('migrator.rollback called');
+
+    var queries = step.down(provider, sqlGenerator);
+    queries.push(table
+      .delete()
+      .where(table.version.equals(step.version))
+      .toQuery());
+
+    return runInTransaction(queries)
+      .then(function() {
+        dependencies.logger.debug({
+          version: step.version,
+          description: step.description
+        }, 'Migration rolled back');
+      });
+  }
+
+  /**
+   * Returns a query recording the migration step as applied.
+   *
+   * @param {object} step - migration step
+   * @returns {object} query - node-sql query object
+   */
+  function versionInsert(step) {
+    return table
+      .insert(
+        table.version.value(step.version),
+        table.description.value(step.description),
+        table.applied.value(provider.convertDateForStorage(moment.utc())))
+      .toQuery();
+  }
+
+  /**
+   * Runs the given queries in order inside a transaction.
+   *
+   * @param {object[]} queries - node-sql query objects or functions taking
+   *   the transaction and returning a promise
+   * @returns {Q} promise - a promise containing the result of committing
+   */
+  function runInTransaction(queries) {
+    return provider.beginTransaction(true)
+      .then(function(transaction) {
+        /*jshint newcap:false*/
+        return queries.reduce(function(series, query) {
+          return series.then(function() {
+            if (typeof(query) === 'function') {
+              return query(transaction);
+            }
+
+            return transaction.runQuery(query);
+          });
+        }, Q())
+          .then(function() {
+            return transaction.commit();
+          })
+          .catch(function(err) {
+            return transaction.rollback()
+              .finally(function() {
+                throw new Error(err);
+              });
+          });
+      });
+  }
+}
+
+/**
+ * Returns a migrator for the given provider.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object[]} steps - migration steps ordered by version
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+module.exports = function(provider, steps, dependencies) {
+  return createApi(provider, steps, dependencies);
+};
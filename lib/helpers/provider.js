@@ -0,0 +1,111 @@
+/**
+ * Loads and validates database providers.
+ *
+ * @module provider
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var util = require('util');
+
+// providers shipped with this module
+var builtIn = ['postgres', 'sqlite', 'mysql', 'memory'];
+
+// methods every provider must implement
+var contract = [
+  'runQuery',
+  'beginTransaction',
+  'forUpdate',
+  'forInsert',
+  'getInsertId',
+  'autoIncrement',
+  'convertDateFromStorage',
+  'convertDateForStorage',
+  'getDateType',
+  'getDialect'
+];
+
+// repositories that can be overridden by a provider
+var repositories = [
+  'mailbox',
+  'context',
+  'folder',
+  'mailboxConfig',
+  'contextConfig',
+  'message',
+  'retentionPolicy',
+  'messageMetadata',
+  'messageRecording',
+  'tag',
+  'messageTag',
+  'audit'
+];
+
+/**
+ * Returns the provider instance described by config.provider which can either
+ * be the name of a built-in provider, a provider object or a factory function
+ * taking config and dependencies and returning a provider object.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} provider - a validated provider instance
+ */
+function load(config, dependencies) {
+  dependencies.logger.trace('provider.load called');
+
+  var provider = config.provider;
+
+  if (typeof(provider) === 'string') {
+    if (builtIn.indexOf(provider) === -1) {
+      throw new Error(util.format(
+        'Unknown provider "%s", expected one of %s or a provider object',
+        provider, builtIn.join(', ')));
+    }
+
+    var file = util.format('../providers/%s.js', provider);
+    provider = require(file)(config, dependencies);
+  } else if (typeof(provider) === 'function') {
+    provider = provider(config, dependencies);
+  }
+
+  return validate(provider);
+}
+
+/**
+ * Ensures the provider implements the provider contract, filling in empty
+ * repository overrides where none are given.
+ *
+ * @param {Object} provider - provider instance
+ * @returns {Object} provider - the given provider instance
+ */
+function validate(provider) {
+  if (!provider || typeof(provider) !== 'object') {
+    throw new Error('Provider must be a provider name, object or factory');
+  }
+
+  var missing = contract.filter(function(method) {
+    return typeof(provider[method]) !== 'function';
+  });
+
+  if (missing.length) {
+    throw new Error(util.format(
+      'Provider is missing required methods: %s', missing.join(', ')));
+  }
+
+  provider.overrides = provider.overrides || {};
+  repositories.forEach(function(repository) {
+    provider.overrides[repository] = provider.overrides[repository] || {};
+  });
+
+  return provider;
+}
+
+module.exports = {
+  load: load,
+  contract: contract
+};
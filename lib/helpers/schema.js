@@ -0,0 +1,180 @@
+/**
+ * Creates and drops the whole voicemail schema.
+ *
+ * @module schema
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var util = require('util');
+var Q = require('q');
+
+/**
+ * Returns an API for creating and dropping the tables of all repositories.
+ *
+ * @param {object[]} repos - repository instances
+ * @param {object} migrator - schema migrator instance
+ * @param {object} provider - database specific provider instance
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(repos, migrator, provider, dependencies) {
+  var common = require('./common.js')(dependencies);
+
+  return {
+    /**
+     * Creates every missing table along with its indexes, referenced tables
+     * first. Pending migrations are applied beforehand if any table already
+     * exists, while a new schema is recorded as being at the latest version.
+     *
+     * @returns {Q} promise - a promise containing the result of creating the
+     *                        schema
+     */
+    createSchema: function() {
+      dependencies.logger.trace('schema.createSchema called');
+
+      var ordered = dependencyOrder(repos);
+      var fresh;
+
+      return Q.all(ordered.map(exists))
+        .then(function(existing) {
+          fresh = existing.every(function(found) {
+            return !found;
+          });
+
+          /*jshint newcap:false*/
+          return fresh ? Q(): migrator.migrate();
+        })
+        .then(function() {
+          /*jshint newcap:false*/
+          return ordered.reduce(function(series, repo) {
+            return series.then(function() {
+              return createMissing(repo);
+            });
+          }, Q());
+        })
+        .then(function() {
+          if (fresh) {
+            return migrator.stamp();
+          }
+        })
+        .then(function() {
+          dependencies.logger.info('Schema created');
+        });
+    },
+
+    /**
+     * Drops every table, referencing tables first.
+     *
+     * @returns {Q} promise - a promise containing the result of dropping the
+     *                        schema
+     */
+    dropSchema: function() {
+      dependencies.logger.trace('schema.dropSchema called');
+
+      var ordered = dependencyOrder(repos).reverse();
+
+      /*jshint newcap:false*/
+      return ordered.reduce(function(series, repo) {
+        return series.then(function() {
+          return repo.dropTable();
+        });
+      }, Q())
+        .then(function() {
+          return migrator.dropTable();
+        })
+        .then(function() {
+          dependencies.logger.info('Schema dropped');
+        });
+    }
+  };
+
+  /**
+   * Returns whether the table of the given repository exists.
+   *
+   * @param {object} repo - repository instance
+   * @returns {Q} promise - a promise containing true if the table exists
+   */
+  function exists(repo) {
+    return common.tableExists(repo.getTable(), provider);
+  }
+
+  /**
+   * Creates the table and indexes of the given repository if the table does
+   * not exist yet.
+   *
+   * @param {object} repo - repository instance
+   * @returns {Q} promise - a promise containing the result of creating the
+   *                        table
+   */
+  function createMissing(repo) {
+    return exists(repo)
+      .then(function(found) {
+        if (!found) {
+          return repo.createTable()
+            .then(function() {
+              return repo.createIndexes();
+            });
+        }
+      });
+  }
+
+  /**
+   * Returns the repositories ordered so that every table comes after the
+   * tables it references.
+   *
+   * @param {object[]} repos - repository instances
+   * @returns {object[]} ordered - repository instances in dependency order
+   */
+  function dependencyOrder(repos) {
+    var byName = repos.reduce(function(names, repo) {
+      names[repo.getTable().getName()] = repo;
+
+      return names;
+    }, {});
+    var ordered = [];
+    var visiting = [];
+
+    repos.forEach(visit);
+
+    return ordered;
+
+    function visit(repo) {
+      var name = repo.getTable().getName();
+
+      if (~ordered.indexOf(repo)) {
+        return;
+      }
+
+      if (~visiting.indexOf(name)) {
+        throw new Error(util.format('Circular table reference to %s', name));
+      }
+
+      visiting.push(name);
+      repo.getTable().columns.forEach(function(column) {
+        var referenced = column.references &&
+                         byName[column.references.table];
+
+        if (referenced && referenced !== repo) {
+          visit(referenced);
+        }
+      });
+      ordered.push(repo);
+    }
+  }
+}
+
+/**
+ * Returns a schema helper for the given repositories.
+ *
+ * @param {object[]} repos - repository instances
+ * @param {object} migrator - schema migrator instance
+ * @param {object} provider - database specific provider instance
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+module.exports = function(repos, migrator, provider, dependencies) {
+  return createApi(repos, migrator, provider, dependencies);
+};
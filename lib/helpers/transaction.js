@@ -0,0 +1,121 @@
+/**
+ * Transactions spanning multiple repository operations.
+ *
+ * @module transaction
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+
+/**
+ * Returns an API for running work inside a single transaction.
+ *
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(dependencies) {
+  return {
+    /**
+     * Begins a transaction and calls work with a provider bound to it. The
+     * transaction is committed if the promise returned by work is fulfilled
+     * and rolled back otherwise.
+     *
+     * Repositories created with the bound provider run all of their queries
+     * inside the transaction, including operations that would normally use
+     * a transaction of their own.
+     *
+     * @param {object} provider - database specific provider instance
+     * @param {Function} work - a function taking the bound provider and
+     *   returning a promise
+     * @returns {Q} promise - a promise containing the result of work
+     */
+    run: function(provider, work) {
+      dependencies.logger.trace('transaction.run called');
+
+      return provider.beginTransaction(true)
+        .then(function(transaction) {
+          var bound = bindProvider(provider, transaction);
+
+          return Q.fcall(work, bound)
+            .then(function(result) {
+              if (bound.isRollbackOnly()) {
+                throw new Error('Transaction was rolled back by a nested ' +
+                                'operation');
+              }
+
+              return transaction.commit()
+                .then(function() {
+                  dependencies.logger.debug('Transaction committed');
+
+                  return result;
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.debug('Rolling back transaction');
+
+              return transaction.rollback()
+                .finally(function() {
+                  throw err;
+                });
+            });
+        });
+    }
+  };
+
+  /**
+   * Returns a provider running every query inside the given transaction.
+   * Transactions begun through it join the outer transaction, committing
+   * them does nothing while rolling them back ensures the outer transaction
+   * will be rolled back.
+   *
+   * @param {object} provider - database specific provider instance
+   * @param {object} transaction - transaction begun by the provider
+   * @returns {object} bound - provider bound to the transaction
+   */
+  function bindProvider(provider, transaction) {
+    var rollbackOnly = false;
+    var bound = Object.create(provider);
+
+    bound.runQuery = function(query) {
+      dependencies.logger.trace('transaction.runQuery called');
+
+      return transaction.runQuery(query);
+    };
+
+    bound.beginTransaction = function(lock) {
+      dependencies.logger.trace('transaction.beginTransaction called');
+
+      /*jshint newcap:false*/
+      return Q({
+        commit: function() {
+          return Q();
+        },
+        rollback: function() {
+          rollbackOnly = true;
+
+          return Q();
+        },
+        runQuery: bound.runQuery
+      });
+    };
+
+    bound.isRollbackOnly = function() {
+      return rollbackOnly;
+    };
+
+    return bound;
+  }
+}
+
+/**
+ * Returns a transaction helper.
+ *
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+module.exports = function(dependencies) {
+  return createApi(dependencies);
+};
@@ -0,0 +1,69 @@
+/**
+ * Adds the retention policy table.
+ *
+ * @module migration-001
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the retention policy table as it was defined by this version.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ */
+function define(sqlGenerator) {
+  return sqlGenerator.define({
+    name: 'vm_retention_policy',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'context_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_context',
+        column: 'id'
+      }
+    }, {
+      name: 'folder_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_folder',
+        column: 'id'
+      }
+    }, {
+      name: 'days',
+      dataType: 'integer',
+      notNull: true
+    }]
+  });
+}
+
+module.exports = {
+  version: 1,
+  description: 'Add retention policies',
+
+  up: function(provider, sqlGenerator) {
+    var table = define(sqlGenerator);
+    var create = table.create().toQuery();
+    create.text = provider.autoIncrement(create.text);
+
+    var index = table.indexes()
+      .create('vm_retention_policy_context_id_folder_id')
+      .unique()
+      .on(table['context_id'], table['folder_id'])
+      .toQuery();
+
+    return [create, index];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [define(sqlGenerator).drop().toQuery()];
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Adds the deleted date of soft deleted messages.
+ *
+ * @module migration-002
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var common = require('./common.js');
+
+module.exports = {
+  version: 2,
+  description: 'Add message deleted date',
+
+  up: function(provider, sqlGenerator) {
+    return [common.addColumn(
+      sqlGenerator, 'vm_message', 'deleted_at', provider.getDateType())];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [common.dropColumn(
+      provider, sqlGenerator, 'vm_message', 'deleted_at')];
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Adds the urgent flag of messages and the urgent count of mailboxes.
+ *
+ * @module migration-003
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var common = require('./common.js');
+
+module.exports = {
+  version: 3,
+  description: 'Add message urgent flag',
+
+  up: function(provider, sqlGenerator) {
+    var messages = sqlGenerator.define({
+      name: 'vm_message',
+      columns: ['id', 'urgent']
+    });
+
+    return [
+      common.addColumn(sqlGenerator, 'vm_message', 'urgent', 'char(1)'),
+      messages.update({urgent: 'N'}).toQuery(),
+      common.addColumn(sqlGenerator, 'vm_mailbox', 'urgent', 'integer')
+    ];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [
+      common.dropColumn(provider, sqlGenerator, 'vm_message', 'urgent'),
+      common.dropColumn(provider, sqlGenerator, 'vm_mailbox', 'urgent')
+    ];
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Adds the message metadata table.
+ *
+ * @module migration-004
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the message metadata table as it was defined by this version.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ */
+function define(sqlGenerator) {
+  return sqlGenerator.define({
+    name: 'vm_message_metadata',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'message_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_message',
+        column: 'id'
+      },
+      notNull: true
+    }, {
+      name: 'transcription',
+      dataType: 'text'
+    }, {
+      name: 'confidence',
+      dataType: 'real'
+    }, {
+      name: 'language',
+      dataType: 'varchar(35)'
+    }, {
+      name: 'properties',
+      dataType: 'text'
+    }]
+  });
+}
+
+module.exports = {
+  version: 4,
+  description: 'Add message metadata',
+
+  up: function(provider, sqlGenerator) {
+    var table = define(sqlGenerator);
+    var create = table.create().toQuery();
+    create.text = provider.autoIncrement(create.text);
+
+    var index = table.indexes()
+      .create('vm_message_metadata_message_id')
+      .unique()
+      .on(table['message_id'])
+      .toQuery();
+
+    return [create, index];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [define(sqlGenerator).drop().toQuery()];
+  }
+};
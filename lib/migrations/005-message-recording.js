@@ -0,0 +1,73 @@
+/**
+ * Adds the message recording table.
+ *
+ * @module migration-005
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the message recording table as it was defined by this version.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ */
+function define(sqlGenerator) {
+  return sqlGenerator.define({
+    name: 'vm_message_recording',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'message_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_message',
+        column: 'id'
+      },
+      notNull: true
+    }, {
+      name: 'format',
+      dataType: 'varchar(20)',
+      notNull: true
+    }, {
+      name: 'uri',
+      dataType: 'varchar(255)',
+      notNull: true
+    }, {
+      name: 'size',
+      dataType: 'integer'
+    }, {
+      name: 'checksum',
+      dataType: 'varchar(128)'
+    }]
+  });
+}
+
+module.exports = {
+  version: 5,
+  description: 'Add message recordings',
+
+  up: function(provider, sqlGenerator) {
+    var table = define(sqlGenerator);
+    var create = table.create().toQuery();
+    create.text = provider.autoIncrement(create.text);
+
+    var index = table.indexes()
+      .create('vm_message_recording_message_id_format')
+      .unique()
+      .on(table['message_id'], table.format)
+      .toQuery();
+
+    return [create, index];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [define(sqlGenerator).drop().toQuery()];
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Stores message durations as an integer number of seconds instead of text.
+ *
+ * @module migration-006
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var common = require('./common.js');
+var duration = require('../helpers/duration.js');
+var Q = require('q');
+
+/**
+ * Returns a function copying every duration of the message table to the
+ * given column, converted using the given function. Distinct durations are
+ * converted one at a time since messages tend to share durations.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ * @param {string} column - name of the column receiving the durations
+ * @param {function} convert - converts a stored duration
+ * @returns {function} copy - takes the migration transaction and returns a
+ *   promise
+ */
+function copyDurations(sqlGenerator, column, convert) {
+  var table = sqlGenerator.define({
+    name: 'vm_message',
+    columns: ['id', 'duration', column]
+  });
+
+  return function(transaction) {
+    var query = table
+      .select(table.duration)
+      .from(table)
+      .group(table.duration)
+      .toQuery();
+
+    return transaction.runQuery(query)
+      .then(function(result) {
+        /*jshint newcap:false*/
+        var start = Q();
+
+        return result.rows.reduce(function(series, row) {
+          return series.then(function() {
+            var fields = {};
+            fields[column] = convert(row.duration);
+
+            var query = table
+              .update(fields)
+              .where(table.duration.equals(row.duration))
+              .toQuery();
+
+            return transaction.runQuery(query);
+          });
+        }, start);
+      });
+  };
+}
+
+module.exports = {
+  version: 6,
+  description: 'Store message durations in seconds',
+
+  up: function(provider, sqlGenerator) {
+    return [
+      common.addColumn(
+        sqlGenerator, 'vm_message', 'duration_seconds', 'integer'),
+      copyDurations(sqlGenerator, 'duration_seconds', duration.parse),
+      common.dropColumn(provider, sqlGenerator, 'vm_message', 'duration'),
+      common.renameColumn(provider, sqlGenerator, 'vm_message',
+                          'duration_seconds', 'duration', 'integer')
+    ];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [
+      common.addColumn(
+        sqlGenerator, 'vm_message', 'duration_text', 'varchar(100)'),
+      copyDurations(sqlGenerator, 'duration_text', String),
+      common.dropColumn(provider, sqlGenerator, 'vm_message', 'duration'),
+      common.renameColumn(provider, sqlGenerator, 'vm_message',
+                          'duration_text', 'duration', 'varchar(100)')
+    ];
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Adds the parsed caller name and number of messages. Existing messages are
+ * backfilled using message.backfillCallers.
+ *
+ * @module migration-007
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var common = require('./common.js');
+
+module.exports = {
+  version: 7,
+  description: 'Add message caller name and number',
+
+  up: function(provider, sqlGenerator) {
+    var table = sqlGenerator.define({
+      name: 'vm_message',
+      columns: ['id', 'caller_name', 'caller_number']
+    });
+
+    return [
+      common.addColumn(
+        sqlGenerator, 'vm_message', 'caller_name', 'varchar(100)'),
+      common.addColumn(
+        sqlGenerator, 'vm_message', 'caller_number', 'varchar(50)'),
+      table.indexes()
+        .create('vm_message_caller_name')
+        .on(table['caller_name'])
+        .toQuery(),
+      table.indexes()
+        .create('vm_message_caller_number')
+        .on(table['caller_number'])
+        .toQuery()
+    ];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [
+      common.dropIndex(
+        provider, sqlGenerator, 'vm_message', 'vm_message_caller_number'),
+      common.dropIndex(
+        provider, sqlGenerator, 'vm_message', 'vm_message_caller_name'),
+      common.dropColumn(provider, sqlGenerator, 'vm_message', 'caller_number'),
+      common.dropColumn(provider, sqlGenerator, 'vm_message', 'caller_name')
+    ];
+  }
+};
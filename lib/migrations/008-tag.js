@@ -0,0 +1,110 @@
+/**
+ * Adds the tag and message tag tables.
+ *
+ * @module migration-008
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the tag tables as they were defined by this version.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ */
+function define(sqlGenerator) {
+  var tags = sqlGenerator.define({
+    name: 'vm_tag',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'context_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_context',
+        column: 'id'
+      }
+    }, {
+      name: 'mailbox_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_mailbox',
+        column: 'id'
+      }
+    }, {
+      name: 'name',
+      dataType: 'varchar(50)',
+      notNull: true
+    }]
+  });
+
+  var messageTags = sqlGenerator.define({
+    name: 'vm_message_tag',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'message_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_message',
+        column: 'id'
+      },
+      notNull: true
+    }, {
+      name: 'tag_id',
+      dataType: 'integer',
+      references: {
+        table: 'vm_tag',
+        column: 'id'
+      },
+      notNull: true
+    }]
+  });
+
+  return {tags: tags, messageTags: messageTags};
+}
+
+module.exports = {
+  version: 8,
+  description: 'Add message tags',
+
+  up: function(provider, sqlGenerator) {
+    var tables = define(sqlGenerator);
+    var createTags = tables.tags.create().toQuery();
+    createTags.text = provider.autoIncrement(createTags.text);
+    var createMessageTags = tables.messageTags.create().toQuery();
+    createMessageTags.text = provider.autoIncrement(createMessageTags.text);
+
+    var tagIndex = tables.tags.indexes()
+      .create('vm_tag_context_id_mailbox_id_name')
+      .unique()
+      .on(tables.tags['context_id'], tables.tags['mailbox_id'],
+          tables.tags.name)
+      .toQuery();
+    var messageTagIndex = tables.messageTags.indexes()
+      .create('vm_message_tag_message_id_tag_id')
+      .unique()
+      .on(tables.messageTags['message_id'], tables.messageTags['tag_id'])
+      .toQuery();
+
+    return [createTags, tagIndex, createMessageTags, messageTagIndex];
+  },
+
+  down: function(provider, sqlGenerator) {
+    var tables = define(sqlGenerator);
+
+    return [
+      tables.messageTags.drop().toQuery(),
+      tables.tags.drop().toQuery()
+    ];
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Adds the message audit table.
+ *
+ * @module migration-009
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns the message audit table as it was defined by this version.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object} sqlGenerator - node-sql generator
+ */
+function define(provider, sqlGenerator) {
+  return sqlGenerator.define({
+    name: 'vm_message_audit',
+    columns: [{
+      name: 'id',
+      dataType: 'integer',
+      notNull: true,
+      primaryKey: true
+    }, {
+      name: 'message_id',
+      dataType: 'integer',
+      notNull: true
+    }, {
+      name: 'mailbox_id',
+      dataType: 'integer',
+      notNull: true
+    }, {
+      name: 'folder_id',
+      dataType: 'integer'
+    }, {
+      name: 'action',
+      dataType: 'varchar(20)',
+      notNull: true
+    }, {
+      name: 'actor',
+      dataType: 'varchar(100)'
+    }, {
+      name: 'date',
+      dataType: provider.getDateType(),
+      notNull: true
+    }, {
+      name: 'details',
+      dataType: 'text'
+    }]
+  });
+}
+
+module.exports = {
+  version: 9,
+  description: 'Add message audit history',
+
+  up: function(provider, sqlGenerator) {
+    var table = define(provider, sqlGenerator);
+    var create = table.create().toQuery();
+    create.text = provider.autoIncrement(create.text);
+
+    var mailboxIndex = table.indexes()
+      .create('vm_message_audit_mailbox_id_date')
+      .on(table['mailbox_id'], table.date)
+      .toQuery();
+    var messageIndex = table.indexes()
+      .create('vm_message_audit_message_id')
+      .on(table['message_id'])
+      .toQuery();
+
+    return [create, mailboxIndex, messageIndex];
+  },
+
+  down: function(provider, sqlGenerator) {
+    return [define(provider, sqlGenerator).drop().toQuery()];
+  }
+};
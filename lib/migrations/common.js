@@ -0,0 +1,123 @@
+/**
+ * Query builders shared by migration steps.
+ *
+ * @module migrations-common
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var util = require('util');
+
+/**
+ * Returns a query adding a column to the given table.
+ *
+ * @param {object} sqlGenerator - node-sql generator
+ * @param {string} tableName - name of the table to alter
+ * @param {string} name - name of the column to add
+ * @param {string} dataType - data type of the column to add
+ * @returns {object} query - node-sql query object
+ */
+function addColumn(sqlGenerator, tableName, name, dataType) {
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: ['id']
+  });
+
+  return table.alter().addColumn(name, dataType).toQuery();
+}
+
+/**
+ * Returns a query dropping a column from the given table. node-sql refuses to
+ * generate this query for sqlite although sqlite supports it since 3.35.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object} sqlGenerator - node-sql generator
+ * @param {string} tableName - name of the table to alter
+ * @param {string} name - name of the column to drop
+ * @returns {object} query - node-sql query object
+ */
+function dropColumn(provider, sqlGenerator, tableName, name) {
+  if (provider.getDialect() === 'sqlite') {
+    return {
+      text: util.format('ALTER TABLE "%s" DROP COLUMN "%s"', tableName, name),
+      values: []
+    };
+  }
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: ['id']
+  });
+
+  return table.alter().dropColumn(name).toQuery();
+}
+
+/**
+ * Returns a query renaming a column of the given table. mysql requires the
+ * data type of the renamed column while node-sql refuses to generate this
+ * query for sqlite although sqlite supports it since 3.25.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object} sqlGenerator - node-sql generator
+ * @param {string} tableName - name of the table to alter
+ * @param {string} name - name of the column to rename
+ * @param {string} newName - new name of the column
+ * @param {string} dataType - data type of the column
+ * @returns {object} query - node-sql query object
+ */
+function renameColumn(provider, sqlGenerator, tableName, name, newName,
+                      dataType) {
+  if (provider.getDialect() === 'sqlite') {
+    return {
+      text: util.format('ALTER TABLE "%s" RENAME COLUMN "%s" TO "%s"',
+                        tableName, name, newName),
+      values: []
+    };
+  }
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: ['id', {name: name, dataType: dataType}]
+  });
+
+  return table.alter().renameColumn(table[name], newName).toQuery();
+}
+
+/**
+ * Returns a query dropping an index of the given table. Only mysql scopes
+ * index names to their table although node-sql does so for every dialect.
+ * Other dialects ignore missing indexes since createIndexes may never have
+ * been called.
+ *
+ * @param {object} provider - database specific provider instance
+ * @param {object} sqlGenerator - node-sql generator
+ * @param {string} tableName - name of the indexed table
+ * @param {string} name - name of the index to drop
+ * @returns {object} query - node-sql query object
+ */
+function dropIndex(provider, sqlGenerator, tableName, name) {
+  if (provider.getDialect() !== 'mysql') {
+    return {
+      text: util.format('DROP INDEX IF EXISTS "%s"', name),
+      values: []
+    };
+  }
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: ['id']
+  });
+
+  return table.indexes().drop(name).toQuery();
+}
+
+module.exports = {
+  addColumn: addColumn,
+  dropColumn: dropColumn,
+  renameColumn: renameColumn,
+  dropIndex: dropIndex
+};
@@ -0,0 +1,24 @@
+/**
+ * Schema migration steps ordered by version.
+ *
+ * @module migrations
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+// each step upgrades the schema by one version, see helpers/migrator.js
+module.exports = [
+  require('./001-retention-policy.js'),
+  require('./002-message-deleted-at.js'),
+  require('./003-message-urgent.js'),
+  require('./004-message-metadata.js'),
+  require('./005-message-recording.js'),
+  require('./006-message-duration-seconds.js'),
+  require('./007-message-caller.js'),
+  require('./008-tag.js'),
+  require('./009-message-audit.js')
+];
@@ -0,0 +1,379 @@
+/**
+ * In memory implementation backed by a private sqlite database that is never
+ * written to disk.
+ *
+ * @module memory
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sqlite3 = require('sqlite3');
+var Q = require('q');
+var moment = require('moment');
+
+// in memory databases keyed by connection string, they live as long as the
+// process does
+var stores = {};
+
+// cache by connection string so every repository shares the same store
+var cache = {};
+
+/**
+ * Returns an API for in memory database operations.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(config, dependencies) {
+  var store = getStore(config.connectionString);
+
+  return {
+    /*
+     * Returns a promise containing the result of the query.
+     *
+     * @param {Query} query - node-sql query object
+     */
+    runQuery: function(query) {
+      dependencies.logger.trace('memory.runQuery called');
+
+      return acquire(store)
+        .then(function(release) {
+          return store.run('BEGIN')
+            .then(function() {
+              dependencies.logger.debug({
+                query: query
+              }, 'Running query');
+
+              return execute(store, query);
+            })
+            .then(function(result) {
+              dependencies.logger.debug('Committing');
+
+              return store.run('COMMIT')
+                .then(function() {
+                  return result;
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.debug('Rolling back');
+
+              return store.run('ROLLBACK')
+                .finally(function() {
+                  throw new Error(err);
+                });
+            })
+            .finally(function() {
+              release();
+            });
+        });
+    },
+
+    /**
+     * Begins a transaction. The store only ever runs a single transaction at
+     * a time so other queries will wait until it is committed or rolled back.
+     *
+     * @param {bool} lock - whether to lock, always the case for memory
+     * @returns {Q} promise - a promise containing functions to run queries
+     * and commit/rollback the transaction
+     */
+    beginTransaction: function(lock) {
+      dependencies.logger.trace('memory.beginTransaction called');
+
+      var release;
+
+      return acquire(store)
+        .then(function(value) {
+          release = value;
+
+          return store.run('BEGIN');
+        })
+        .then(function() {
+          return {
+            commit: commitTransaction,
+            rollback: rollbackTransaction,
+            runQuery: runQueryWithoutTransaction
+          };
+        }, function(err) {
+          if (release) {
+            release();
+          }
+
+          throw err;
+        });
+
+      /**
+       * Commits the transaction and releases the store.
+       *
+       * @returns {Q} promise - a promise containing the result of committing
+       */
+      function commitTransaction() {
+        dependencies.logger.trace('memory.trans.commit called');
+
+        return store.run('COMMIT')
+          .finally(function() {
+            release();
+          });
+      }
+
+      /**
+       * Rolls back the transaction and releases the store.
+       *
+       * @returns {Q} promise - a promise containing the result of rolling back
+       */
+      function rollbackTransaction() {
+        dependencies.logger.trace('memory.trans.rollback called');
+
+        return store.run('ROLLBACK')
+          .finally(function() {
+            release();
+          });
+      }
+
+      /**
+       * Returns a promise containing the result of the query.
+       *
+       * @param {Query} query - node-sql query object
+       * @returns {Q} promise - a promise containing the result of running
+       *   the query
+       */
+      function runQueryWithoutTransaction(query) {
+        dependencies.logger.trace('memory.trans.runQuery called');
+
+        dependencies.logger.debug({
+          query: query
+        }, 'Running query');
+
+        return execute(store, query);
+      }
+    },
+
+    /**
+     * Adds for update to a select statement for row locking. Nothing needs
+     * to be done since transactions against the store are serialized.
+     *
+     * @param {object} query - node-sql query object
+     * @returns {object} query - a new query with a for update statement
+     */
+    forUpdate: function(query) {
+      dependencies.logger.trace('memory.forUpdate called');
+
+      // return new object anyways to match other providers
+      var replaced = {};
+      replaced.text = query.text;
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Insert statements do not need to be modified, the generated id is
+     * always part of the result.
+     *
+     * @param {object} query - node-sql insert query object
+     * @returns {object} query - a new query returning the inserted id
+     */
+    forInsert: function(query) {
+      dependencies.logger.trace('memory.forInsert called');
+
+      // return new object anyways to match other providers
+      var replaced = {};
+      replaced.text = query.text;
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Returns the id generated by an insert query.
+     *
+     * @param {Object} result - the result of running the insert query
+     * @returns {integer} id - the id of the inserted row
+     */
+    getInsertId: function(result) {
+      dependencies.logger.trace('memory.getInsertId called');
+
+      return result.rows.lastID;
+    },
+
+    /**
+     * Create statement does not have to be modified, integer primary keys
+     * automatically get a unique Integer value if not given on insert.
+     *
+     * @param {string} createStatement - the create statement to modify
+     */
+    autoIncrement: function(createStatement) {
+      dependencies.logger.trace('memory.autoIncrement called');
+
+      return createStatement;
+    },
+
+    /**
+     * Modifies date from db storage to object format.
+     *
+     * @param {Object} date - date object fetched from database
+     * @returns {Moment} date - Moment date object
+     */
+    convertDateFromStorage: function(date) {
+      dependencies.logger.trace('memory.convertDateFromStorage called');
+
+      return moment.unix(date).utc();
+    },
+
+    /**
+     * Modifies date from object format for db storage.
+     *
+     * @param {Moment} date - Moment date object
+     * @returns {Object} date - date object for database
+     */
+    convertDateForStorage: function(date) {
+      dependencies.logger.trace('memory.convertDateForStorage called');
+
+      return date.unix();
+    },
+
+    /**
+     * Returns the date type for table creation.
+     */
+    getDateType: function() {
+      dependencies.logger.trace('memory.getDateType called');
+
+      return 'integer';
+    },
+
+    /**
+     * Returns the node-sql dialect used to generate queries.
+     */
+    getDialect: function() {
+      dependencies.logger.trace('memory.getDialect called');
+
+      return 'sqlite';
+    }
+  };
+}
+
+/**
+ * Returns the in memory store for the given connection string, creating it
+ * if needed.
+ *
+ * @param {string} name - connection string naming the store
+ * @returns {Object} store - promise based functions for the store
+ */
+function getStore(name) {
+  if (!stores[name]) {
+    var db = new sqlite3.Database(':memory:');
+
+    stores[name] = {
+      run: runFunction(db),
+      all: Q.denodeify(db.all.bind(db)),
+      /*jshint newcap:false*/
+      lock: Q()
+    };
+  }
+
+  return stores[name];
+}
+
+/**
+ * Returns a promise based version of db.run. The promise contains the
+ * statement holding the last inserted id and the number of changed rows.
+ *
+ * @param {Object} db - sqlite database
+ * @returns {Function} run - a function taking query text and values
+ */
+function runFunction(db) {
+  return function(text, values) {
+    var deferred = Q.defer();
+
+    db.run(text, values || [], function(err) {
+      /*jshint validthis:true*/
+      if (err) {
+        deferred.reject(err);
+      } else {
+        deferred.resolve(this);
+      }
+    });
+
+    return deferred.promise;
+  };
+}
+
+/**
+ * Waits for the store to be free. The promise contains a function that must
+ * be called to release the store.
+ *
+ * @param {Object} store - in memory store
+ * @returns {Q} promise - a promise containing a release function
+ */
+function acquire(store) {
+  var previous = store.lock;
+  var released = Q.defer();
+
+  store.lock = previous.then(function() {
+    return released.promise;
+  });
+
+  return previous.then(function() {
+    return released.resolve;
+  });
+}
+
+/**
+ * Runs the given query against the store.
+ *
+ * @param {Object} store - in memory store
+ * @param {Query} query - node-sql query object
+ * @returns {Q} promise - a promise containing the rows returned
+ */
+function execute(store, query) {
+  var exec;
+
+  if (~query.text.toLowerCase().search(/^select.+/)) {
+    exec = store.all;
+  } else {
+    exec = store.run;
+  }
+
+  return exec(query.text, query.values)
+    .then(function(result) {
+      return {
+        rows: result
+      };
+    });
+}
+
+/**
+ * Returns an in memory provider helper object.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+module.exports = function(config, dependencies) {
+  if (cache[config.connectionString]) {
+    return cache[config.connectionString];
+  } else {
+    var obj = createApi(config, dependencies);
+    obj.overrides = {
+      mailbox: {},
+      context: {},
+      folder: {},
+      mailboxConfig: {},
+      contextConfig: {},
+      message: {},
+      retentionPolicy: {},
+      messageMetadata: {},
+      messageRecording: {},
+      tag: {},
+      messageTag: {},
+      audit: {}
+    };
+
+    cache[config.connectionString] = obj;
+    return obj;
+  }
+};
@@ -0,0 +1,327 @@
+/**
+ * MySQL/MariaDB specific implementation.
+ *
+ * @module mysql
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var mysql = require('mysql');
+var Q = require('q');
+var moment = require('moment');
+var util = require('util');
+
+// cache pools by connection string so connections are shared between repos
+var pools = {};
+
+/**
+ * Returns an API for mysql specific database operations.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(config, dependencies) {
+  var pool = getPool(config.connectionString);
+
+  return {
+    /*
+     * Runs the given query inside a transaction.
+     *
+     * @param {Query} query - node-sql query object
+     * @returns {Q} promise - a promise containing the result of the query
+     */
+    runQuery: function(query) {
+      dependencies.logger.trace('mysql.runQuery called');
+
+      var connect = Q.denodeify(pool.getConnection.bind(pool));
+
+      return connect()
+        .then(function (connection) {
+          var clientQuery = queryFunction(connection);
+
+          return clientQuery('START TRANSACTION')
+            .then(function () {
+              dependencies.logger.debug({
+                query: query
+              }, 'Running query');
+
+              return clientQuery(query.text, query.values);
+            })
+            .then(function (result) {
+              dependencies.logger.debug('Committing');
+
+              return clientQuery('COMMIT')
+                .then(function () {
+                  return result;
+                });
+            })
+            .catch(function (error) {
+              dependencies.logger.debug('Rolling back');
+
+              // a failed rollback must not hide the error that caused it
+              return clientQuery('ROLLBACK')
+                .catch(function(rollbackError) {
+                  dependencies.logger.debug({
+                    err: rollbackError
+                  }, 'Rollback failed');
+                })
+                .then(function() {
+                  throw error;
+                });
+            })
+            .finally(function() {
+              connection.release();
+            });
+        });
+    },
+
+    /*
+     * Begins a transaction.
+     *
+     * @param {bool} lock - whether to lock, row locking is handled by
+     *   forUpdate for mysql
+     * @returns {Q} promise - a promise containing functions to run queries
+     * and commit/rollback the transaction
+     */
+    beginTransaction: function(lock) {
+      dependencies.logger.trace('mysql.beginTransaction called');
+
+      var connect = Q.denodeify(pool.getConnection.bind(pool));
+      var clientQuery;
+      var connection;
+
+      return connect()
+        .then(function (value) {
+          connection = value;
+          clientQuery = queryFunction(connection);
+
+          return clientQuery('START TRANSACTION')
+            .then(function() {
+              return {
+                commit: commitTransaction,
+                rollback: rollbackTransaction,
+                runQuery: runQueryWithoutTransaction
+              };
+            }, function(err) {
+              connection.release();
+
+              throw err;
+            });
+        });
+
+      /**
+       * Commits the transaction and releases the connection.
+       *
+       * @returns {Q} promise - a promise containing the result of committing
+       */
+      function commitTransaction() {
+        dependencies.logger.trace('mysql.trans.commit called');
+
+        return clientQuery('COMMIT')
+          .finally(function() {
+            connection.release();
+          });
+      }
+
+      /**
+       * Rolls back the transaction and releases the connection.
+       *
+       * @returns {Q} promise - a promise containing the result of rolling
+       *                        back
+       */
+      function rollbackTransaction() {
+        dependencies.logger.trace('mysql.trans.rollback called');
+
+        return clientQuery('ROLLBACK')
+          .finally(function() {
+            connection.release();
+          });
+      }
+
+      /**
+       * Returns a promise containing the result of the query.
+       *
+       * @param {Query} query - node-sql query object
+       * @returns {Q} promise - a promise containing the result of running
+       *   the query
+       */
+      function runQueryWithoutTransaction(query) {
+        dependencies.logger.trace('mysql.trans.runQuery called');
+
+        dependencies.logger.debug({
+          query: query
+        }, 'Running query');
+
+        return clientQuery(query.text, query.values);
+      }
+    },
+
+    /**
+     * Adds for update to a select statement for row locking.
+     *
+     * @param {object} query - node-sql query object
+     * @returns {object} query - a new query with a for update statement
+     */
+    forUpdate: function(query) {
+      dependencies.logger.trace('mysql.forUpdate called');
+
+      var replaced = {};
+      replaced.text = util.format('%s FOR UPDATE', query.text);
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Insert statements do not need to be modified for mysql, the generated
+     * id is always part of the result.
+     *
+     * @param {object} query - node-sql insert query object
+     * @returns {object} query - a new query returning the inserted id
+     */
+    forInsert: function(query) {
+      dependencies.logger.trace('mysql.forInsert called');
+
+      // return new object anyways to match other providers
+      var replaced = {};
+      replaced.text = query.text;
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Returns the id generated by an insert query.
+     *
+     * @param {Object} result - the result of running the insert query
+     * @returns {integer} id - the id of the inserted row
+     */
+    getInsertId: function(result) {
+      dependencies.logger.trace('mysql.getInsertId called');
+
+      return result.rows.insertId;
+    },
+
+    /**
+     * Replaces the id portion of the create statement with a provider
+     * specific auto increment statement.
+     *
+     * @param {string} createStatement - the create statement to modify
+     */
+    autoIncrement: function(createStatement) {
+      dependencies.logger.trace('mysql.autoIncrement called');
+
+      return createStatement.replace(/(`id` integer)/, '$1 AUTO_INCREMENT');
+    },
+
+    /**
+     * Modifies date from db storage to object format.
+     *
+     * @param {Object} date - date object fetched from database
+     * @returns {Moment} date - Moment date object
+     */
+    convertDateFromStorage: function(date) {
+      dependencies.logger.trace('mysql.convertDateFromStorage called');
+
+      // datetime columns are read back as local dates holding the UTC value
+      return moment.utc(moment(date).format('YYYY-MM-DD HH:mm:ss'));
+    },
+
+    /**
+     * Modifies date from object format for db storage.
+     *
+     * @param {Moment} date - Moment date object
+     * @returns {Object} date - date string for database
+     */
+    convertDateForStorage: function(date) {
+      dependencies.logger.trace('mysql.convertDateForStorage called');
+
+      // datetime columns have no timezone, always store as UTC
+      return moment(date).utc().format('YYYY-MM-DD HH:mm:ss');
+    },
+
+    /**
+     * Returns the date type for table creation.
+     */
+    getDateType: function() {
+      dependencies.logger.trace('mysql.getDateType called');
+
+      return 'datetime';
+    },
+
+    /**
+     * Returns the node-sql dialect used to generate queries.
+     */
+    getDialect: function() {
+      dependencies.logger.trace('mysql.getDialect called');
+
+      return 'mysql';
+    }
+  };
+
+  /**
+   * Returns a promise based query function for the given connection. The
+   * promise contains an object with the rows returned by the query.
+   *
+   * @param {Object} connection - a mysql connection
+   * @returns {Function} query - a function taking query text and values
+   */
+  function queryFunction(connection) {
+    var clientQuery = Q.denodeify(connection.query.bind(connection));
+
+    return function(text, values) {
+      return clientQuery(text, values || [])
+        .then(function(result) {
+          return {
+            rows: result[0]
+          };
+        });
+    };
+  }
+}
+
+/**
+ * Returns a connection pool for the given connection string.
+ *
+ * @param {string} connectionString - mysql connection url
+ * @returns {Object} pool - a mysql connection pool
+ */
+function getPool(connectionString) {
+  if (!pools[connectionString]) {
+    pools[connectionString] = mysql.createPool(connectionString);
+  }
+
+  return pools[connectionString];
+}
+
+/**
+ * Returns a mysql provider helper object.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+module.exports = function(config, dependencies) {
+  var obj = createApi(config, dependencies);
+  obj.overrides = {
+    mailbox: {},
+    context: {},
+    folder: {},
+    mailboxConfig: {},
+    contextConfig: {},
+    message: {},
+    retentionPolicy: {},
+    messageMetadata: {},
+    messageRecording: {},
+    tag: {},
+    messageTag: {},
+    audit: {}
+  };
+
+  return obj;
+};
@@ -170,6 +170,35 @@ function createApi(config, dependencies) {
       return replaced;
     },
 
+    /**
+     * Adds a returning clause to an insert statement so the generated id
+     * is part of the result.
+     *
+     * @param {object} query - node-sql insert query object
+     * @returns {object} query - a new query returning the inserted id
+     */
+    forInsert: function(query) {
+      dependencies.logger.trace('postgres.forInsert called');
+
+      var replaced = {};
+      replaced.text = util.format('%s RETURNING "id"', query.text);
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Returns the id generated by an insert query.
+     *
+     * @param {Object} result - the result of running the insert query
+     * @returns {integer} id - the id of the inserted row
+     */
+    getInsertId: function(result) {
+      dependencies.logger.trace('postgres.getInsertId called');
+
+      return +result.rows[0].id;
+    },
+
     /**
      * Replaces the id portion of the create statement with a provider
      * specific auto increment statement.
@@ -211,6 +240,15 @@ function createApi(config, dependencies) {
       dependencies.logger.trace('postgres.getDateType called');
 
       return 'timestamp';
+    },
+
+    /**
+     * Returns the node-sql dialect used to generate queries.
+     */
+    getDialect: function() {
+      dependencies.logger.trace('postgres.getDialect called');
+
+      return 'postgres';
     }
   };
 }
@@ -230,7 +268,13 @@ module.exports = function(config, dependencies) {
     folder: {},
     mailboxConfig: {},
     contextConfig: {},
-    message: {}
+    message: {},
+    retentionPolicy: {},
+    messageMetadata: {},
+    messageRecording: {},
+    tag: {},
+    messageTag: {},
+    audit: {}
   };
 
   return obj;
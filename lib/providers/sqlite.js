@@ -36,7 +36,7 @@ function createApi(config, dependencies) {
       dependencies.logger.trace('sqlite.runQuery called');
 
       var db = new sqlite3.Database(config.connectionString);
-      var run = Q.denodeify(db.run.bind(db));
+      var run = runFunction(db);
       var all = Q.denodeify(db.all.bind(db));
       var close = Q.denodeify(db.close.bind(db));
       var promise = run('BEGIN');
@@ -93,7 +93,7 @@ function createApi(config, dependencies) {
       dependencies.logger.trace('sqlite.beginTransaction called');
 
       var db = new sqlite3.Database(config.connectionString);
-      var run = Q.denodeify(db.run.bind(db));
+      var run = runFunction(db);
       var all = Q.denodeify(db.all.bind(db));
       var close = Q.denodeify(db.close.bind(db));
 
@@ -183,6 +183,36 @@ function createApi(config, dependencies) {
       return replaced;
     },
 
+    /**
+     * Insert statements do not need to be modified for sqlite, the generated
+     * id is always part of the result.
+     *
+     * @param {object} query - node-sql insert query object
+     * @returns {object} query - a new query returning the inserted id
+     */
+    forInsert: function(query) {
+      dependencies.logger.trace('sqlite.forInsert called');
+
+      // return new object anyways to match other providers
+      var replaced = {};
+      replaced.text = query.text;
+      replaced.values = query.values;
+
+      return replaced;
+    },
+
+    /**
+     * Returns the id generated by an insert query.
+     *
+     * @param {Object} result - the result of running the insert query
+     * @returns {integer} id - the id of the inserted row
+     */
+    getInsertId: function(result) {
+      dependencies.logger.trace('sqlite.getInsertId called');
+
+      return result.rows.lastID;
+    },
+
     /**
      * Create statement does not have to be modified for sqlite. Integer primary
      * keys automatically get a unique Integer value if not given on insert.
@@ -227,10 +257,43 @@ function createApi(config, dependencies) {
       dependencies.logger.trace('sqlite.getDateType called');
 
       return 'integer';
+    },
+
+    /**
+     * Returns the node-sql dialect used to generate queries.
+     */
+    getDialect: function() {
+      dependencies.logger.trace('sqlite.getDialect called');
+
+      return 'sqlite';
     }
   };
 }
 
+/**
+ * Returns a promise based version of db.run. The promise contains the
+ * statement holding the last inserted id and the number of changed rows.
+ *
+ * @param {Object} db - sqlite database
+ * @returns {Function} run - a function taking query text and values
+ */
+function runFunction(db) {
+  return function(text, values) {
+    var deferred = Q.defer();
+
+    db.run(text, values || [], function(err) {
+      /*jshint validthis:true*/
+      if (err) {
+        deferred.reject(err);
+      } else {
+        deferred.resolve(this);
+      }
+    });
+
+    return deferred.promise;
+  };
+}
+
 /**
  * Returns a sqlite provider helper object.
  *
@@ -249,7 +312,13 @@ module.exports = function(config, dependencies) {
       folder: {},
       mailboxConfig: {},
       contextConfig: {},
-      message: {}
+      message: {},
+      retentionPolicy: {},
+      messageMetadata: {},
+      messageRecording: {},
+      tag: {},
+      messageTag: {},
+      audit: {}
     };
 
     cache[config.connectionString] = obj;
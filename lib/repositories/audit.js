@@ -0,0 +1,247 @@
+/**
+ * Audit repository for querying the history of message state transitions.
+ * Entries are written by the message repository.
+ *
+ * @module audit
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+
+/**
+ * Returns an API for interacting with audit entries.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+
+  return {
+    /**
+     * Creates an audit table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('audit.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates audit indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('audit.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_message_audit_mailbox_id_date',
+        ['mailbox_id', 'date'],
+        provider,
+        false
+      )
+        .then(function() {
+          return common.createIndex(
+            table,
+            'vm_message_audit_message_id',
+            ['message_id'],
+            provider,
+            false
+          );
+        });
+    },
+
+    /**
+     * Drops the audit table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('audit.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the audit table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Create an instance of an audit entry. Entries keep the ids of their
+     * message, mailbox and folder so they outlive deleted messages.
+     *
+     * @param {Object} fields - key/value field mappings
+     * @param {Number} id - audit entry id
+     */
+    create: function(fields, id) {
+      dependencies.logger.trace('audit.create called');
+
+      id = common.optionalArgument(fields, id, 'number');
+
+      var instance = {
+        messageId: undefined,
+        mailboxId: undefined,
+        folderId: undefined,
+        action: undefined,
+        actor: undefined,
+        date: undefined,
+        details: undefined,
+
+        getId: function() {
+          return id;
+        }
+      };
+
+      return common.populateFields(instance, fields);
+    },
+
+    /**
+     * Returns the audit entries matching the given criteria, oldest first.
+     *
+     * @param {Object} criteria - search criteria
+     * @param {Mailbox} criteria.mailbox - mailbox the messages belonged to
+     * @param {Message} criteria.message - message the entries are about
+     * @param {Moment} criteria.since - earliest entry date (inclusive)
+     * @returns {Q} promise - a promise containing an array of audit entries
+     */
+    find: function(criteria) {
+      dependencies.logger.trace('audit.find called');
+
+      var self = this;
+      criteria = criteria || {};
+      var clauses = [];
+
+      if (criteria.mailbox) {
+        clauses.push(table['mailbox_id'].equals(criteria.mailbox.getId()));
+      }
+
+      if (criteria.message) {
+        clauses.push(table['message_id'].equals(criteria.message.getId()));
+      }
+
+      if (criteria.since) {
+        clauses.push(
+          table.date.gte(provider.convertDateForStorage(criteria.since)));
+      }
+
+      var query = table
+        .select(table.star())
+        .from(table);
+
+      if (clauses.length) {
+        query = query.where(clauses.reduce(function(where, clause) {
+          return where.and(clause);
+        }));
+      }
+
+      query = query
+        .order(table.date, table.id)
+        .toQuery();
+
+      return common.find(query, provider, constructor)
+        .then(function(results) {
+          var entries = results.map(function(entry) {
+            return convertFromStorage(entry);
+          });
+
+          dependencies.logger.debug({
+            entries: entries
+          }, 'Audit entries found');
+
+          return entries;
+        });
+
+      function constructor(id) {
+        return self.create(id);
+      }
+    }
+  };
+
+  /**
+   * Modifies certain types from db storage to object format.
+   */
+  function convertFromStorage(entry) {
+    dependencies.logger.trace('audit.convertFromStorage called');
+
+    if (entry) {
+      entry.date = provider.convertDateFromStorage(entry.date);
+      // details are stored as json text
+      entry.details = (typeof(entry.details) === 'string') ?
+        JSON.parse(entry.details): {};
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * Returns a repository that can be used to interact with audit entries.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - audit repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  // ids are not foreign keys so entries outlive their message
+  var tableName = 'vm_message_audit';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'message_id',
+    dataType: 'integer',
+    notNull: true
+  }, {
+    name: 'mailbox_id',
+    dataType: 'integer',
+    notNull: true
+  }, {
+    name: 'folder_id',
+    dataType: 'integer'
+  }, {
+    name: 'action',
+    dataType: 'varchar(20)',
+    notNull: true
+  }, {
+    name: 'actor',
+    dataType: 'varchar(100)'
+  }, {
+    name: 'date',
+    dataType: provider.getDateType(),
+    notNull: true
+  }, {
+    name: 'details',
+    dataType: 'text'
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.audit);
+
+  return repo;
+};
@@ -11,8 +11,8 @@
 'use strict';
 
 var sql = require('sql');
-var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
 
 /**
  * Returns an API for interacting with contexts.
@@ -44,6 +44,22 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       return common.createIndex(table, 'vm_context_domain', 'domain', provider);
     },
 
+    /**
+     * Drops the context table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('context.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the context table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
     /**
      * Create an instance of a context.
      */
@@ -113,11 +129,17 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     save: function(instance) {
       dependencies.logger.trace('context.save called');
 
+      var self = this;
+
       return common.save(instance, table, provider)
-        .then(function() {
+        .then(function(id) {
+          var saved = self.create(instance.domain, id);
+
           dependencies.logger.debug({
-            context: instance
+            context: saved
           }, 'Context saved');
+
+          return saved;
         });
     },
 
@@ -144,9 +166,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - context repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_context';
   var columns = [{
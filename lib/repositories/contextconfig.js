@@ -11,8 +11,8 @@
 'use strict';
 
 var sql = require('sql');
-var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
 
 /**
  * Returns an API for interacting with context configs.
@@ -45,6 +45,22 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         table, 'vm_context_config_context_id', 'context_id', provider);
     },
 
+    /**
+     * Drops the context config table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('contextConfig.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the context config table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
     /**
      * Create an instance of a context config.
      *
@@ -107,11 +123,17 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     save: function(instance) {
       dependencies.logger.trace('contextConfig.save called');
 
+      var self = this;
+
       return common.save(instance, table, provider)
-        .then(function() {
+        .then(function(id) {
+          var saved = self.create(instance.getContext(), instance, id);
+
           dependencies.logger.debug({
-            contextConfig: instance
+            contextConfig: saved
           }, 'Context Config saved');
+
+          return saved;
         });
     },
 
@@ -140,9 +162,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - context config repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_context_config';
   var columns = [{
@@ -11,8 +11,8 @@
 'use strict';
 
 var sql = require('sql');
-var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
 
 /**
  * Returns an API for interacting with folders.
@@ -47,6 +47,22 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         });
     },
 
+    /**
+     * Drops the folder table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('folder.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the folder table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
     /**
      * Create an instance of a folder.
      */
@@ -154,11 +170,17 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     save: function(instance) {
       dependencies.logger.trace('folder.save called');
 
+      var self = this;
+
       return common.save(instance, table, provider)
-        .then(function() {
+        .then(function(id) {
+          var saved = self.create(instance, id);
+
           dependencies.logger.debug({
-            folder: instance
+            folder: saved
           }, 'Folder saved');
+
+          return saved;
         });
     },
 
@@ -206,9 +228,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - folder repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_folder';
   var columns = [{
@@ -11,8 +11,9 @@
 'use strict';
 
 var sql = require('sql');
-var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+var Q = require('q');
 
 /**
  * Returns an API for interacting with contexts.
@@ -21,8 +22,9 @@ var Compose = require('compose');
  * @param {object} provider - database specific provider instance
  * @param {object} table - node-sql generator
  * @param {object} dependencies - object keyed by module dependencies
+ * @param {Object} config - config object the repository was created with
  */
-function createApi(table, provider, sqlGenerator, dependencies) {
+function createApi(table, provider, sqlGenerator, dependencies, config) {
   var common = require('../helpers/common.js')(dependencies);
 
   return {
@@ -49,6 +51,22 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       );
     },
 
+    /**
+     * Drops the mailbox table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('mailbox.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the mailbox table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
     /**
      * Create an instance of a mailbox.
      */
@@ -65,6 +83,7 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         email: undefined,
         read: undefined,
         unread: undefined,
+        urgent: undefined,
         greetingBusy: undefined,
         greetingAway: undefined,
         greetingName: undefined,
@@ -155,24 +174,108 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     save: function(instance) {
       dependencies.logger.trace('mailbox.save called');
 
-      // only mwi functions should allow updating read/unread fields
+      // only mwi functions should allow updating read/unread/urgent fields
       if (instance.getId()) {
-        var temp = [instance.read, instance.unread];
+        var temp = [instance.read, instance.unread, instance.urgent];
         instance.read = undefined;
         instance.unread = undefined;
+        instance.urgent = undefined;
       }
 
+      var self = this;
+
       return common.save(instance, table, provider)
-        .then(function() {
+        .then(function(id) {
           if (instance.getId()) {
             instance.read = temp[0];
             instance.unread = temp[1];
+            instance.urgent = temp[2];
           }
 
+          var saved = self.create(
+            instance.mailboxNumber, instance.getContext(), instance, id);
+
           dependencies.logger.debug({
-            mailbox: instance
+            mailbox: saved
           }, 'Mailbox saved');
+
+          return saved;
+        });
+    },
+
+    /**
+     * Returns the message count and total message duration of the mailbox
+     * along with its quota limits. Limits are read from the maxmsg and
+     * maxsecs mailbox config keys, falling back to the context config.
+     *
+     * @param {Mailbox} instance - mailbox instance
+     * @param {Folder} folder - optional folder to restrict the count and
+     *   duration to
+     * @returns {Q} promise - a promise containing an object with count,
+     *   duration and limits, limits without a config are undefined
+     */
+    usage: function(instance, folder) {
+      dependencies.logger.trace('mailbox.usage called');
+
+      var repoConfig = providerConfig();
+      var messages = require('./message.js')(
+        repoConfig, dependencies).getTable();
+      var contextConfigs = require('./contextconfig.js')(
+        repoConfig, dependencies);
+      var mailboxConfigs = require('./mailboxconfig.js')(
+        repoConfig, dependencies);
+
+      var where = messages['mailbox_id'].equals(instance.getId())
+        .and(messages['deleted_at'].isNull());
+
+      if (folder) {
+        where = where.and(messages['folder_id'].equals(folder.getId()));
+      }
+
+      var query = messages
+        .select(
+          messages.id.count('total'),
+          sqlGenerator.functions.SUM(messages.duration).as('duration'))
+        .from(messages)
+        .where(where)
+        .toQuery();
+
+      return Q.all([
+        provider.runQuery(query),
+        contextConfigs.all(instance.getContext()),
+        mailboxConfigs.all(instance)
+      ])
+        .spread(function(result, contextConfig, mailboxConfig) {
+          // mailbox config takes precedence over context config
+          var config = contextConfig.concat(mailboxConfig)
+            .reduce(function(config, entry) {
+              config[entry.key] = entry.value;
+
+              return config;
+            }, {});
+          var row = result.rows[0];
+          var usage = {
+            count: +row.total,
+            duration: +row.duration || 0,
+            limits: {
+              maxmsg: toLimit(config.maxmsg),
+              maxsecs: toLimit(config.maxsecs)
+            }
+          };
+
+          dependencies.logger.debug({
+            usage: usage
+          }, 'Mailbox usage loaded');
+
+          return usage;
         });
+
+      // empty config values mean no limit
+      function toLimit(value) {
+        var empty = (value === undefined || value === null || value === '');
+
+        return empty ? undefined: +value;
+      }
     },
 
     /**
@@ -195,10 +298,11 @@ function createApi(table, provider, sqlGenerator, dependencies) {
      * @param {Mailbox} instance - mailbox instance
      * @param {Function} mwi - a function to update mwi counts that returns a
      *   promise
+     * @param {bool} urgent - whether the new message is urgent
      * @returns {Q} promise - a promise containing the result of updating the
      *   message counts
      */
-    newMessage: function(instance, mwi) {
+    newMessage: function(instance, mwi, urgent) {
       dependencies.logger.trace('mailbox.newMessage called');
 
       return updateMwi(instance, mwi, modifier);
@@ -209,7 +313,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
         return {
           read: read,
-          unread: unread + 1
+          unread: unread + 1,
+          urgent: adjustUrgent(row, urgent, 1)
         };
       }
     },
@@ -220,10 +325,11 @@ function createApi(table, provider, sqlGenerator, dependencies) {
      * @param {Mailbox} instance - mailbox instance
      * @param {Function} mwi - a function to update mwi counts that returns a
      *   promise
+     * @param {bool} urgent - whether the read message is urgent
      * @returns {Q} promise - a promise containing the result of updating the
      *   message counts
      */
-    readMessage: function(instance, mwi) {
+    readMessage: function(instance, mwi, urgent) {
       dependencies.logger.trace('mailbox.readMessage called');
 
       return updateMwi(instance, mwi, modifier);
@@ -235,7 +341,108 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
         return {
           read: read + 1,
-          unread: unread - 1
+          unread: unread - 1,
+          urgent: adjustUrgent(row, urgent, -1)
+        };
+      }
+    },
+
+    /**
+     * Recomputes the read/unread counts of the mailbox from its messages.
+     * The mailbox is only updated and mwi only called if the counts changed.
+     *
+     * @param {Mailbox} instance - mailbox instance
+     * @param {Function} mwi - a function to update mwi counts that returns a
+     *   promise
+     * @param {Object} options - recount options
+     * @param {Folder[]} options.folders - folders whose messages are counted,
+     *   defaults to all folders
+     * @returns {Q} promise - a promise containing the read/unread counts and
+     *   whether they changed
+     */
+    recountMwi: function(instance, mwi, options) {
+      dependencies.logger.trace('mailbox.recountMwi called');
+
+      var folders = (options && options.folders) || [];
+
+      return recount(instance, mwi || noMwi, folders);
+    },
+
+    /**
+     * Recomputes the read/unread counts of every mailbox of the given context
+     * one mailbox at a time.
+     *
+     * @param {Context} context - context instance
+     * @param {Function} mwi - a function taking a mailbox and its updated
+     *   read/unread counts that returns a promise, only called for mailboxes
+     *   whose counts changed
+     * @param {Object} options - recount options
+     * @param {Folder[]} options.folders - folders whose messages are counted,
+     *   defaults to all folders
+     * @returns {Q} promise - a promise containing an array of the counts of
+     *   each mailbox along with the mailbox instance
+     */
+    recountAll: function(context, mwi, options) {
+      dependencies.logger.trace('mailbox.recountAll called');
+
+      var folders = (options && options.folders) || [];
+      var results = [];
+      /*jshint newcap:false*/
+      var start = Q();
+
+      return this.findByContext(context)
+        .then(function(mailboxes) {
+          return mailboxes.reduce(function(promise, mailbox) {
+            return promise
+              .then(function() {
+                return recount(mailbox, function(read, unread, urgent) {
+                  return (mwi || noMwi)(mailbox, read, unread, urgent);
+                }, folders);
+              })
+              .then(function(counts) {
+                counts.mailbox = mailbox;
+                results.push(counts);
+              });
+          }, start);
+        })
+        .then(function() {
+          dependencies.logger.debug({
+            count: results.length
+          }, 'Context MWI counts recounted');
+
+          return results;
+        });
+    },
+
+    /**
+     * Updates the read/unread counts after a read message was marked as
+     * unread.
+     *
+     * @param {Mailbox} instance - mailbox instance
+     * @param {Function} mwi - a function to update mwi counts that returns a
+     *   promise
+     * @param {bool} urgent - whether the unread message is urgent
+     * @returns {Q} promise - a promise containing the result of updating the
+     *   message counts
+     */
+    unreadMessage: function(instance, mwi, urgent) {
+      dependencies.logger.trace('mailbox.unreadMessage called');
+
+      return updateMwi(instance, mwi, modifier);
+
+      function modifier (row) {
+        var read = +row.read || 0;
+        var unread = +row.unread || 0;
+
+        // never go below 0 read messages if counts have drifted
+        if (read) {
+          read -= 1;
+        }
+
+        return {
+          read: read,
+          unread: unread + 1,
+          urgent: adjustUrgent(row, urgent, 1)
         };
       }
     },
@@ -247,10 +454,11 @@ function createApi(table, provider, sqlGenerator, dependencies) {
      * @param {bool} messageRead - whether deleted message had been read or not
      * @param {Function} mwi - a function to update mwi counts that returns a
      *   promise
+     * @param {bool} urgent - whether the deleted message is urgent
      * @returns {Q} promise - a promise containing the result of updating the
      *   message counts
      */
-    deletedMessage: function(instance, messageRead, mwi) {
+    deletedMessage: function(instance, messageRead, mwi, urgent) {
       dependencies.logger.trace('mailbox.deletedMessage called');
 
       return updateMwi(instance, mwi, modifier);
@@ -270,12 +478,182 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
         return {
           read: read,
-          unread: unread
+          unread: unread,
+          // only unread urgent messages are counted
+          urgent: adjustUrgent(row, urgent && !messageRead, -1)
+        };
+      }
+    },
+
+    /**
+     * Updates the read/unread counts for a message restored from the trash,
+     * reversing deletedMessage.
+     *
+     * @param {Mailbox} instance - mailbox instance
+     * @param {bool} messageRead - whether restored message had been read
+     * @param {Function} mwi - a function to update mwi counts that returns a
+     *   promise
+     * @param {bool} urgent - whether the restored message is urgent
+     * @returns {Q} promise - a promise containing the result of updating the
+     *   message counts
+     */
+    restoredMessage: function(instance, messageRead, mwi, urgent) {
+      dependencies.logger.trace('mailbox.restoredMessage called');
+
+      return updateMwi(instance, mwi, modifier);
+
+      function modifier (row) {
+        var read = +row.read || 0;
+        var unread = +row.unread || 0;
+
+        return {
+          read: messageRead ? read + 1: read,
+          unread: messageRead ? unread: unread + 1,
+          // only unread urgent messages are counted
+          urgent: adjustUrgent(row, urgent && !messageRead, 1)
         };
       }
     }
   };
 
+  /**
+   * Returns the urgent count of the given mailbox row adjusted by step if the
+   * message is urgent, never going below 0.
+   *
+   * @param {object} row - mailbox database row
+   * @param {bool} urgent - whether the message is urgent
+   * @param {integer} step - 1 to add the message, -1 to remove it
+   * @returns {integer} urgent - the adjusted urgent count
+   */
+  function adjustUrgent(row, urgent, step) {
+    var count = +row.urgent || 0;
+
+    return urgent ? Math.max(count + step, 0): count;
+  }
+
+  /**
+   * Default mwi function for recounts, does nothing.
+   */
+  function noMwi() {
+    /*jshint newcap:false*/
+    return Q();
+  }
+
+  /**
+   * Recomputes the read/unread counts of a mailbox from its messages inside
+   * a locked transaction, only updating the mailbox and calling mwi if the
+   * counts changed.
+   *
+   * @param {Mailbox} instance - mailbox instance
+   * @param {Function} mwi - a function to update mwi counts that returns a
+   *   promise
+   * @param {Folder[]} folders - folders whose messages are counted, all
+   *   folders if empty
+   * @returns {Q} promise - a promise containing the read/unread counts and
+   *   whether they changed
+   */
+  function recount(instance, mwi, folders) {
+    dependencies.logger.trace('mailbox.recount called');
+
+    var messages = require('./message.js')(
+      providerConfig(), dependencies).getTable();
+    var where = table['mailbox_number'].equals(instance.mailboxNumber)
+      .and(table['context_id'].equals(instance.getContext().getId()));
+    var query = table
+      .select(table.star())
+      .from(table)
+      .where(where)
+      .toQuery();
+    query = provider.forUpdate(query);
+
+    return provider.beginTransaction(true)
+      .then(function(transaction) {
+
+        return transaction.runQuery(query)
+          .then(function(result) {
+            var row = result.rows[0];
+            var countWhere = messages['mailbox_id'].equals(row.id)
+              .and(messages['deleted_at'].isNull());
+
+            if (folders.length) {
+              countWhere = countWhere.and(messages['folder_id'].in(
+                folders.map(function(folder) {
+                  return folder.getId();
+                })));
+            }
+
+            var countQuery = messages
+              .select(
+                messages.read,
+                messages.urgent,
+                messages.id.count('total'))
+              .from(messages)
+              .where(countWhere)
+              .group(messages.read, messages.urgent)
+              .toQuery();
+
+            return transaction.runQuery(countQuery)
+              .then(function(result) {
+                var counts = result.rows.reduce(function(counts, count) {
+                  var key = (count.read === 'Y') ? 'read': 'unread';
+                  counts[key] += +count.total;
+
+                  if (key === 'unread' && count.urgent === 'Y') {
+                    counts.urgent += +count.total;
+                  }
+
+                  return counts;
+                }, {read: 0, unread: 0, urgent: 0});
+                // urgent counts are not tracked by older mailboxes
+                counts.changed = (row.read === null || row.unread === null ||
+                                  +row.read !== counts.read ||
+                                  +row.unread !== counts.unread ||
+                                  (+row.urgent || 0) !== counts.urgent);
+
+                if (!counts.changed) {
+                  return counts;
+                }
+
+                return mwi(counts.read, counts.unread, counts.urgent)
+                  .then(function() {
+                    var query = table
+                      .update({
+                        read: counts.read,
+                        unread: counts.unread,
+                        urgent: counts.urgent
+                      })
+                      .where(where)
+                      .toQuery();
+
+                    return transaction.runQuery(query);
+                  })
+                  .then(function() {
+                    return counts;
+                  });
+              });
+          })
+          .then(function(counts) {
+            return transaction.commit()
+              .then(function() {
+                dependencies.logger.debug({
+                  read: counts.read,
+                  unread: counts.unread,
+                  urgent: counts.urgent,
+                  changed: counts.changed
+                }, 'MWI counts recounted');
+
+                return counts;
+              });
+          })
+          .catch(function(err) {
+            return transaction.rollback()
+              .finally(function() {
+                throw new Error(err);
+              });
+          });
+      });
+  }
+
   /**
    * Updates the mwi counts for a mailbox.
    *
@@ -283,7 +661,7 @@ function createApi(table, provider, sqlGenerator, dependencies) {
    * @param {Function} mwi - a function to update mwi counts that returns a
    *   promise
    * @param {Function} modifier - a function that takes a database result and
-   *   returns an object containing the updated read/unread counts
+   *   returns an object containing the updated read/unread/urgent counts
    * @returns {Q} promise - a promise containing the result of updating the
    *   message counts
    */
@@ -305,10 +683,14 @@ function createApi(table, provider, sqlGenerator, dependencies) {
           .then(function(result) {
             var counts = modifier(result.rows[0]);
             
-            return mwi(counts.read, counts.unread)
+            return mwi(counts.read, counts.unread, counts.urgent)
               .then(function() {
                 var query = table
-                  .update({read: counts.read, unread: counts.unread})
+                  .update({
+                    read: counts.read,
+                    unread: counts.unread,
+                    urgent: counts.urgent
+                  })
                   .where(table['mailbox_number'].equals(instance.mailboxNumber)
                       .and(table['context_id']
                         .equals(instance.getContext().getId())))
@@ -322,7 +704,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
               .then(function() {
                 dependencies.logger.debug({
                   read: counts.read,
-                  unread: counts.unread
+                  unread: counts.unread,
+                  urgent: counts.urgent
                 }, 'MWI counts updated');
 
                 return counts;
@@ -336,6 +719,19 @@ function createApi(table, provider, sqlGenerator, dependencies) {
           });
       });
   }
+
+  /**
+   * Returns the config of this repository with its provider replaced by the
+   * loaded provider, keeping every other setting.
+   *
+   * @returns {Object} config - config for repositories used by this one
+   */
+  function providerConfig() {
+    var result = Object.create(config);
+    result.provider = provider;
+
+    return result;
+  }
 }
 
 /**
@@ -347,9 +743,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - mailbox repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_mailbox';
   var columns = [{
@@ -390,6 +785,9 @@ module.exports = function(config, dependencies) {
   }, {
     name: 'unread',
     dataType: 'integer'
+  }, {
+    name: 'urgent',
+    dataType: 'integer'
   }, {
     name: 'greeting_away',
     dataType: 'varchar(100)'
@@ -410,7 +808,8 @@ module.exports = function(config, dependencies) {
     table,
     provider,
     sqlGenerator,
-    dependencies
+    dependencies,
+    config
   ), provider.overrides.mailbox);
 
   return repo;
@@ -11,8 +11,8 @@
 'use strict';
 
 var sql = require('sql');
-var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
 
 /**
  * Returns an API for interacting with contexts.
@@ -45,6 +45,22 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         table, 'vm_mailbox_config_mailbox_id', 'mailbox_id', provider);
     },
 
+    /**
+     * Drops the mailbox config table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('mailboxConfig.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the mailbox config table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
     /**
      * Create an instance of a mailbox config.
      */
@@ -103,11 +119,17 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     save: function(instance) {
       dependencies.logger.trace('mailboxConfig.save called');
 
+      var self = this;
+
       return common.save(instance, table, provider)
-        .then(function() {
+        .then(function(id) {
+          var saved = self.create(instance.getMailbox(), instance, id);
+
           dependencies.logger.debug({
-            mailboxConfig: instance
+            mailboxConfig: saved
           }, 'Mailbox Config saved');
+
+          return saved;
         });
     },
 
@@ -136,9 +158,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - mailbox config repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_mailbox_config';
   var columns = [{
@@ -13,8 +13,16 @@
 var sql = require('sql');
 var util = require('util');
 var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+var errors = require('../errors.js');
+var duration = require('../helpers/duration.js');
+var callerIds = require('../helpers/callerid.js');
 var moment = require('moment');
 var Q = require('q');
+var Readable = require('stream').Readable;
+
+// largest page returned by page, larger limits are lowered to it
+var maxPageSize = 500;
 
 /**
  * Returns an API for interacting with contexts.
@@ -23,9 +31,16 @@ var Q = require('q');
  * @param {object} provider - database specific provider instance
  * @param {object} table - node-sql generator
  * @param {object} dependencies - object keyed by module dependencies
+ * @param {object} trash - soft delete settings
+ * @param {bool} trash.enabled - whether removed messages are moved to the
+ *   trash instead of being deleted
+ * @param {integer} trash.days - days messages stay in the trash
+ * @param {Object} config - config object the repository was created with
  */
-function createApi(table, provider, sqlGenerator, dependencies) {
+function createApi(table, provider, sqlGenerator, dependencies, trash,
+                   config) {
   var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
 
   return {
     /**
@@ -48,7 +63,41 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         'vm_message_mailbox_id_folder_id_date',
         ['mailbox_id', 'folder_id', 'date'],
         provider
-      );
+      )
+        .then(function() {
+          return common.createIndex(
+            table,
+            'vm_message_caller_name',
+            ['caller_name'],
+            provider,
+            false
+          );
+        })
+        .then(function() {
+          return common.createIndex(
+            table,
+            'vm_message_caller_number',
+            ['caller_number'],
+            provider,
+            false
+          );
+        });
+    },
+
+    /**
+     * Drops the message table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('message.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the message table definition.
+     */
+    getTable: function() {
+      return table;
     },
 
     /**
@@ -62,10 +111,15 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       var instance = {
         date: undefined,
         read: undefined,
+        urgent: undefined,
         originalMailbox: undefined,
         callerId: undefined,
+        callerName: undefined,
+        callerNumber: undefined,
         duration: undefined,
         recording: undefined,
+        deletedAt: undefined,
+        metadata: undefined,
 
         getId: function() {
           return id;
@@ -85,6 +139,7 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         init: function() {
           this.date = moment.utc();
           this.read = false;
+          this.urgent = !!this.urgent;
         },
 
         /**
@@ -97,15 +152,36 @@ function createApi(table, provider, sqlGenerator, dependencies) {
             return true;
           }
 
+          return false;
+        },
+
+        /**
+         * Mark the message as unread. Returns true if this message was
+         * previously read.
+         */
+        markAsUnread: function() {
+          if (this.read) {
+            this.read = false;
+            return true;
+          }
+
           return false;
         }
       };
 
-      return common.populateFields(instance, fields);
+      instance = common.populateFields(instance, fields);
+
+      // caller name and number are always derived from the caller id
+      if (instance.callerId !== undefined) {
+        parseCaller(instance);
+      }
+
+      return instance;
     },
 
     /**
-     * Return a message instance from the database.
+     * Return a message instance from the database along with its metadata,
+     * or null metadata if it has none.
      *
      * Note: private fields remain unchainged from the given instance.
      */
@@ -119,6 +195,18 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         .then(function(message) {
           var result = convertFromStorage(message);
 
+          if (!result) {
+            return result;
+          }
+
+          return metadataRepo(provider).get(result)
+            .then(function(metadata) {
+              result.metadata = metadata;
+
+              return result;
+            });
+        })
+        .then(function(result) {
           dependencies.logger.debug({
             message: result
           }, 'Message loaded');
@@ -141,7 +229,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       var query = table
         .select('count(*)')
         .from(table)
-        .where(table['mailbox_id'].equals(mailbox.getId()))
+        .where(table['mailbox_id'].equals(mailbox.getId())
+          .and(table['deleted_at'].isNull()))
         .toQuery();
 
       return common.count(table, query, provider);
@@ -157,12 +246,98 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       var query = table
         .select('count(*)')
         .from(table)
-        .where(table['folder_id'].equals(folder.getId()))
+        .where(table['folder_id'].equals(folder.getId())
+          .and(table['deleted_at'].isNull()))
         .toQuery();
 
       return common.count(table, query, provider);
     },
 
+    /**
+     * Returns the message count along with the total and average message
+     * duration of the given mailbox.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @returns {Q} promise - a promise containing an object with count, total
+     *   and average, durations are in seconds
+     */
+    durationByMailbox: function(mailbox) {
+      dependencies.logger.trace('message.durationByMailbox called');
+
+      return durationStats(table['mailbox_id'].equals(mailbox.getId()));
+    },
+
+    /**
+     * Returns the message count along with the total and average message
+     * duration of the given folder of a mailbox.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @param {Folder} folder - folder instance
+     * @returns {Q} promise - a promise containing an object with count, total
+     *   and average, durations are in seconds
+     */
+    durationByFolder: function(mailbox, folder) {
+      dependencies.logger.trace('message.durationByFolder called');
+
+      return durationStats(table['mailbox_id'].equals(mailbox.getId())
+        .and(table['folder_id'].equals(folder.getId())));
+    },
+
+    /**
+     * Returns message counts of the given mailbox per folder in a single
+     * grouped query. Folders without messages are not included.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @returns {Q} promise - a promise containing an object keyed by folder
+     *   id where values contain total, read and unread counts along with the
+     *   oldest and newest message dates
+     */
+    summary: function(mailbox) {
+      dependencies.logger.trace('message.summary called');
+
+      var query = table
+        .select(
+          table['folder_id'],
+          table.read,
+          table.id.count('total'),
+          table.date.min('oldest'),
+          table.date.max('newest'))
+        .from(table)
+        .where(table['mailbox_id'].equals(mailbox.getId())
+          .and(table['deleted_at'].isNull()))
+        .group(table['folder_id'], table.read)
+        .toQuery();
+
+      return provider.runQuery(query)
+        .then(function(result) {
+          var summary = result.rows.reduce(function(summary, row) {
+            var folderId = row['folder_id'];
+            var oldest = provider.convertDateFromStorage(row.oldest);
+            var newest = provider.convertDateFromStorage(row.newest);
+            var folder = summary[folderId] = summary[folderId] || {
+              total: 0,
+              read: 0,
+              unread: 0,
+              oldest: oldest,
+              newest: newest
+            };
+
+            folder.total += +row.total;
+            folder[(row.read === 'Y') ? 'read': 'unread'] += +row.total;
+            folder.oldest = moment.min(folder.oldest, oldest);
+            folder.newest = moment.max(folder.newest, newest);
+
+            return summary;
+          }, {});
+
+          dependencies.logger.debug({
+            summary: summary
+          }, 'Message summary loaded');
+
+          return summary;
+        });
+    },
+
     /*
      * Returns a Messages object containing all messages for the given mailbox
      * and folder.
@@ -219,8 +394,9 @@ function createApi(table, provider, sqlGenerator, dependencies) {
           .select(table.star())
           .from(table)
           .where(table['mailbox_id'].equals(mailbox.getId())
-            .and(table['folder_id'].equals(folder.getId())))
-          .order(table.date)
+            .and(table['folder_id'].equals(folder.getId()))
+            .and(table['deleted_at'].isNull()))
+          .order(table.urgent.descending, table.date)
           .limit(limit)
           .offset(offset)
           .toQuery();
@@ -240,6 +416,306 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       }
     },
 
+    /**
+     * Returns a page of messages for the given mailbox and folder ordered by
+     * date. Pages are keyed on the date and id of the last message returned
+     * so messages arriving while paging do not shift the following pages.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @param {Folder} folder - folder instance
+     * @param {Object} options - paging options
+     * @param {string} options.after - cursor returned with the previous page
+     * @param {integer} options.limit - maximum number of messages (default 50,
+     *   at most 500)
+     * @returns {Q} promise - a promise containing an object with the messages
+     *   of the page and the cursor of the next page, null on the last page
+     */
+    page: function(mailbox, folder, options) {
+      dependencies.logger.trace('message.page called');
+
+      var self = this;
+      options = options || {};
+      var limit = (options.limit === undefined) ? 50: Number(options.limit);
+
+      if (limit % 1 !== 0 || limit < 1) {
+        return Q.reject(new Error(util.format(
+          'Invalid message page limit "%s"', options.limit)));
+      }
+
+      limit = Math.min(limit, maxPageSize);
+      var where = table['mailbox_id'].equals(mailbox.getId())
+        .and(table['folder_id'].equals(folder.getId()))
+        .and(table['deleted_at'].isNull());
+
+      if (options.after) {
+        var after = decodeCursor(options.after);
+
+        if (!after) {
+          return Q.reject(new Error(util.format(
+            'Invalid message cursor "%s"', options.after)));
+        }
+
+        var date = provider.convertDateForStorage(after.date);
+        where = where.and(table.date.gt(date)
+          .or(table.date.equals(date).and(table.id.gt(after.id))));
+      }
+
+      // fetch one more message than needed to know if another page follows
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(where)
+        .order(table.date, table.id)
+        .limit(limit + 1)
+        .toQuery();
+
+      return common.find(query, provider, constructor)
+        .then(function(result) {
+          var messages = result.slice(0, limit).map(function(message) {
+            return convertFromStorage(message);
+          });
+          var last = messages[messages.length - 1];
+          var page = {
+            messages: messages,
+            cursor: (result.length > limit) ? encodeCursor(last): null
+          };
+
+          dependencies.logger.debug({
+            page: page
+          }, 'Message page loaded');
+
+          return page;
+        });
+
+      function constructor(id) {
+        return self.create(mailbox, folder, id);
+      }
+    },
+
+    /**
+     * Returns a readable object stream of all messages for the given mailbox
+     * and folder ordered by date. Messages are fetched one page at a time so
+     * memory use stays bounded regardless of the number of messages.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @param {Folder} folder - folder instance
+     * @param {Object} options - stream options
+     * @param {integer} options.batchSize - messages fetched per query
+     *   (default 50)
+     * @returns {Readable} stream - a readable stream of message instances
+     */
+    stream: function(mailbox, folder, options) {
+      dependencies.logger.trace('message.stream called');
+
+      var self = this;
+      var batchSize = (options && options.batchSize) || 50;
+
+      return createStream(function(after) {
+        return self.page(mailbox, folder, {
+          after: after,
+          limit: batchSize
+        });
+      });
+    },
+
+    /**
+     * Returns a readable object stream of every message ordered by id. The
+     * mailbox and folder of each message only expose their id. Messages in
+     * the trash are skipped unless options.deleted is set.
+     *
+     * @param {Object} options - stream options
+     * @param {integer} options.batchSize - messages fetched per query
+     *   (default 50)
+     * @param {bool} options.deleted - whether to include messages in the trash
+     * @returns {Readable} stream - a readable stream of message instances
+     */
+    streamAll: function(options) {
+      dependencies.logger.trace('message.streamAll called');
+
+      var self = this;
+      options = options || {};
+      var batchSize = options.batchSize || 50;
+
+      return createStream(function(after) {
+        var where = table.id.gt(after || 0);
+
+        if (!options.deleted) {
+          where = where.and(table['deleted_at'].isNull());
+        }
+
+        // fetch one more message than needed to know if another batch follows
+        var query = table
+          .select(table.star())
+          .from(table)
+          .where(where)
+          .order(table.id)
+          .limit(batchSize + 1)
+          .toQuery();
+
+        return common.find(query, provider, constructor)
+          .then(function(result) {
+            var messages = result.slice(0, batchSize).map(function(message) {
+              return convertFromStorage(message);
+            });
+            var last = messages[messages.length - 1];
+
+            return {
+              messages: messages,
+              cursor: (result.length > batchSize) ? last.getId(): null
+            };
+          });
+      });
+
+      function constructor(id, row) {
+        return self.create(
+          reference(row['mailbox_id']), reference(row['folder_id']), id);
+      }
+    },
+
+    /**
+     * Returns messages of the given mailbox matching the given criteria.
+     *
+     * Messages belonging to a folder that was not given in criteria.folders
+     * reference a folder containing only its id.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @param {Object} criteria - search criteria
+     * @param {Folder|Folder[]} criteria.folders - folders to search in
+     * @param {bool} criteria.read - read state of the messages
+     * @param {Moment} criteria.from - earliest message date
+     * @param {Moment} criteria.to - latest message date
+     * @param {string} criteria.callerId - text contained in the caller id
+     * @param {integer} criteria.minDuration - shortest duration in seconds
+     * @param {integer} criteria.maxDuration - longest duration in seconds
+     * @param {integer} criteria.originalMailbox - original mailbox number
+     * @param {string} criteria.transcript - words of the transcription, using
+     *   full text search on postgres and matching contained text otherwise
+     * @param {Tag|Tag[]} criteria.tags - tags the messages must all have
+     * @param {string} criteria.sort - date (default), duration, callerId,
+     *   read or id
+     * @param {string} criteria.direction - asc (default) or desc
+     * @param {integer} criteria.limit - maximum number of messages
+     * @param {integer} criteria.offset - number of messages to skip, requires
+     *   a limit
+     * @returns {Q} promise - a promise containing an array of messages
+     */
+    find: function(mailbox, criteria) {
+      dependencies.logger.trace('message.find called');
+
+      var self = this;
+      criteria = criteria || {};
+      var folders = criteria.folders || [];
+      folders = (Array.isArray(folders)) ? folders: [folders];
+      var sortable = {
+        date: table.date,
+        duration: table.duration,
+        callerId: table['caller_id'],
+        read: table.read,
+        id: table.id
+      };
+      var sort = sortable[criteria.sort || 'date'];
+
+      if (!sort) {
+        return Q.reject(new Error(util.format(
+          'Cannot sort messages by %s', criteria.sort)));
+      }
+
+      if (criteria.offset !== undefined && criteria.limit === undefined) {
+        return Q.reject(new Error('Message offset requires a limit'));
+      }
+
+      if (criteria.direction === 'desc') {
+        // descending is a property of columns but a method of expressions
+        sort = (typeof(sort.descending) === 'function') ?
+          sort.descending(): sort.descending;
+      }
+
+      var where = table['mailbox_id'].equals(mailbox.getId())
+        .and(table['deleted_at'].isNull());
+
+      if (folders.length) {
+        where = where.and(table['folder_id'].in(folders.map(function(folder) {
+          return folder.getId();
+        })));
+      }
+
+      if (criteria.read !== undefined) {
+        where = where.and(table.read.equals(criteria.read ? 'Y': 'N'));
+      }
+
+      if (criteria.from) {
+        where = where.and(
+          table.date.gte(provider.convertDateForStorage(criteria.from)));
+      }
+
+      if (criteria.to) {
+        where = where.and(
+          table.date.lte(provider.convertDateForStorage(criteria.to)));
+      }
+
+      if (criteria.callerId) {
+        where = where.and(
+          contains(table['caller_id'], criteria.callerId));
+      }
+
+      if (criteria.minDuration !== undefined) {
+        where = where.and(table.duration.gte(criteria.minDuration));
+      }
+
+      if (criteria.maxDuration !== undefined) {
+        where = where.and(table.duration.lte(criteria.maxDuration));
+      }
+
+      if (criteria.originalMailbox !== undefined) {
+        where = where.and(
+          table['original_mailbox'].equals(criteria.originalMailbox));
+      }
+
+      if (criteria.transcript) {
+        where = where.and(transcriptWhere(criteria.transcript));
+      }
+
+      if (criteria.tags) {
+        where = tagged(where, criteria.tags);
+      }
+
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(where)
+        .order(sort, table.id);
+
+      if (criteria.limit !== undefined) {
+        query = query.limit(criteria.limit);
+      }
+
+      if (criteria.offset !== undefined) {
+        query = query.offset(criteria.offset);
+      }
+
+      return common.find(query.toQuery(), provider, constructor)
+        .then(function(result) {
+          var messages = result.map(function(message) {
+            return convertFromStorage(message);
+          });
+
+          dependencies.logger.debug({
+            messages: messages
+          }, 'Messages found');
+
+          return messages;
+        });
+
+      function constructor(id, row) {
+        var folder = folders.filter(function(candidate) {
+          return candidate.getId() === row['folder_id'];
+        })[0];
+
+        return self.create(
+          mailbox, folder || reference(row['folder_id']), id);
+      }
+    },
+
     /**
      * Returns the latest messages after a given message for the given mailbox
      * and folder.
@@ -255,9 +731,10 @@ function createApi(table, provider, sqlGenerator, dependencies) {
         .select(table.star())
         .from(table)
         .where(table['mailbox_id'].equals(mailbox.getId())
-          .and(table['folder_id'].equals(folder.getId())))
+          .and(table['folder_id'].equals(folder.getId()))
+          .and(table['deleted_at'].isNull()))
           .and(table.date.gte(provider.convertDateForStorage(latestMessage)))
-        .order(table.date)
+        .order(table.urgent.descending, table.date)
         .toQuery();
 
       return common.find(query, provider, constructor.bind(this))
@@ -282,26 +759,73 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
     /**
      * Save a message instance to the database.
+     *
+     * New messages are rejected with a QuotaExceededError if the mailbox
+     * already holds maxmsg messages or if the message is longer than
+     * maxsecs seconds. Their creation is recorded in the audit history.
+     *
+     * @param {Message} instance - message instance
+     * @param {string} actor - who or what created the message
      */
-    save: function(instance) {
+    save: function(instance, actor) {
       dependencies.logger.trace('message.save called');
 
-      var tempObject = convertForStorage(instance);
+      var self = this;
+      // convert a copy so the given instance keeps its object format
+      var tempObject = convertForStorage(this.create(
+        instance.getMailbox(), instance.getFolder(), instance,
+        instance.getId()));
+      var promise;
+
+      if (instance.getId()) {
+        promise = common.save(tempObject, table, provider);
+      } else {
+        promise = transactions.run(provider, function(bound) {
+          return checkQuota(bound, instance)
+            .then(function() {
+              return common.save(tempObject, table, bound);
+            })
+            .then(function(id) {
+              var created = self.create(
+                instance.getMailbox(), instance.getFolder(), instance, id);
+
+              return audit(bound, 'created', [created], actor)
+                .then(function() {
+                  return id;
+                });
+            });
+        });
+      }
+
+      return promise
+        .then(function(id) {
+          var saved = self.create(
+            instance.getMailbox(), instance.getFolder(), instance, id);
 
-      return common.save(tempObject, table, provider)
-        .then(function() {
           dependencies.logger.debug({
-            message: instance
+            message: saved
           }, 'Message saved');
+
+          return saved;
         });
     },
 
     /**
-     * Change the folder the message belongs to.
+     * Change the folder the message belongs to. Nothing is saved or recorded
+     * if the message is already in that folder.
+     *
+     * @param {Message} message - message instance
+     * @param {Folder} folder - folder instance to move the message to
+     * @param {string} actor - who or what moved the message
      */
-    changeFolder: function(message, folder) {
+    changeFolder: function(message, folder, actor) {
       dependencies.logger.trace('message.changeFolder called');
 
+      if (message.getFolder().getId() === folder.getId()) {
+        /*jshint newcap:false*/
+        return Q(message);
+      }
+
       var fields = Object.keys(message).reduce(function(aggregate, key) {
         aggregate[key] = message[key];
 
@@ -311,26 +835,111 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       var instance = this.create(message.getMailbox(), folder,
                             fields, message.getId());
 
-      return this.save(instance)
-        .then(function() {
+      return transactions.run(provider, function(bound) {
+        var messages = module.exports(boundConfig(bound), dependencies);
+
+        return messages.save(instance)
+          .then(function(saved) {
+            return audit(bound, 'moved', [saved], actor, function() {
+              return {from: message.getFolder().getId()};
+            })
+              .then(function() {
+                return saved;
+              });
+          });
+      })
+        .then(function(saved) {
           dependencies.logger.debug({
-            message: instance
+            message: saved
           }, 'Message changed to other folder');
 
-          return instance;
+          return saved;
+        });
+    },
+
+    /**
+     * Forwards a message to another mailbox. A new message is created for the
+     * target mailbox and the target mailbox MWI counts are updated in the
+     * same transaction.
+     *
+     * The forwarded message is unread and keeps the original mailbox of the
+     * given message, or the number of its mailbox if it was never forwarded.
+     *
+     * @param {Message} message - message instance to forward
+     * @param {Mailbox} targetMailbox - mailbox instance to forward to
+     * @param {Folder} targetFolder - folder instance to forward to
+     * @param {Object} options - forwarding options
+     * @param {string} options.recording - recording of the forwarded message,
+     *   defaults to sharing the recording of the given message
+     * @param {Function} options.mwi - a function to update mwi counts of the
+     *   target mailbox that returns a promise
+     * @param {string} options.actor - who or what forwarded the message
+     * @returns {Q} promise - a promise containing the forwarded message
+     */
+    forward: function(message, targetMailbox, targetFolder, options) {
+      dependencies.logger.trace('message.forward called');
+
+      options = options || {};
+      var mwi = options.mwi || function() {
+        /*jshint newcap:false*/
+        return Q();
+      };
+      var originalMailbox = message.originalMailbox ||
+        message.getMailbox().mailboxNumber;
+
+      return transactions.run(provider, function(bound) {
+        var messages = module.exports(boundConfig(bound), dependencies);
+        var mailboxes = require('./mailbox.js')(
+          boundConfig(bound), dependencies);
+
+        var instance = messages.create(targetMailbox, targetFolder, {
+          date: message.date,
+          read: false,
+          urgent: message.urgent,
+          originalMailbox: originalMailbox,
+          callerId: message.callerId,
+          duration: message.duration,
+          recording: options.recording || message.recording
         });
+
+        return messages.save(instance, options.actor)
+          .then(function(forwarded) {
+            return audit(bound, 'forwarded', [message], options.actor,
+                         function() {
+                           return {
+                             messageId: forwarded.getId(),
+                             mailboxId: targetMailbox.getId()
+                           };
+                         })
+              .then(function() {
+                return mailboxes.newMessage(
+                  targetMailbox, mwi, forwarded.urgent);
+              })
+              .then(function() {
+                dependencies.logger.debug({
+                  message: forwarded
+                }, 'Message forwarded');
+
+                return forwarded;
+              });
+          });
+      });
     },
 
     /**
      * Marks the message instance as read in the database.
+     *
+     * @param {Message} instance - message instance
+     * @param {string} actor - who or what marked the message
      */
-    markAsRead: function(instance) {
+    markAsRead: function(instance, actor) {
       dependencies.logger.trace('message.markAsRead called');
 
       var query = table
         .select(table.star())
         .from(table)
-        .where(table.id.equals(instance.getId()))
+        .where(table.id.equals(instance.getId())
+          .and(table['deleted_at'].isNull()))
         .toQuery();
       query = provider.forUpdate(query);
 
@@ -352,10 +961,14 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
                 var query = table
                   .update({read: message.read})
-                  .where(table.id.equals(instance.getId()))
+                  .where(table.id.equals(instance.getId())
+                    .and(table['deleted_at'].isNull()))
                   .toQuery();
 
-                promise = transaction.runQuery(query);
+                promise = transaction.runQuery(query)
+                  .then(function() {
+                    return audit(transaction, 'read', [instance], actor);
+                  });
               }
 
               return promise
@@ -381,15 +994,19 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     },
 
     /**
-     * Deletes a message instance from the database.
+     * Marks the message instance as unread in the database.
+     *
+     * @param {Message} instance - message instance
+     * @param {string} actor - who or what marked the message
      */
-    remove: function (instance) {
-      dependencies.logger.trace('message.remove called');
+    markAsUnread: function(instance, actor) {
+      dependencies.logger.trace('message.markAsUnread called');
 
       var query = table
         .select(table.star())
         .from(table)
-        .where(table.id.equals(instance.getId()))
+        .where(table.id.equals(instance.getId())
+          .and(table['deleted_at'].isNull()))
         .toQuery();
       query = provider.forUpdate(query);
 
@@ -398,24 +1015,40 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
           return transaction.runQuery(query)
             .then(function(result) {
-              var query = table
-                .delete()
-                .where(table.id.equals(instance.getId()))
-                .toQuery();
-
+              /*jshint newcap:false*/
+              var promise = Q();
               var message = result.rows[0];
+              var updated = false;
               message = convertFromStorage(message);
 
-              return transaction.runQuery(query)
+              if (message && message.read) {
+                updated = true;
+                message.read = false;
+                message = convertForStorage(message);
+
+                var query = table
+                  .update({read: message.read})
+                  .where(table.id.equals(instance.getId())
+                    .and(table['deleted_at'].isNull()))
+                  .toQuery();
+
+                promise = transaction.runQuery(query)
+                  .then(function() {
+                    return audit(transaction, 'unread', [instance], actor);
+                  });
+              }
+
+              return promise
                 .then(function() {
                   return transaction.commit();
                 })
                 .then(function() {
                   dependencies.logger.debug({
-                    message: instance
-                  }, 'Message removed');
+                    message: instance,
+                    updated: updated
+                  }, 'Message marked as unread');
 
-                  return message;
+                  return updated;
                 });
             })
             .catch(function(err) {
@@ -428,15 +1061,19 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     },
 
     /**
-     * Deletes all messages belonging to the specific mailbox
+     * Deletes a message instance from the database. When soft delete is
+     * enabled the message is moved to the trash instead.
+     *
+     * @param {Message} instance - message instance
+     * @param {string} actor - who or what deleted the message
      */
-    removeByMailbox: function (mailbox) {
-      dependencies.logger.trace('message.removeByMailbox called');
+    remove: function (instance, actor) {
+      dependencies.logger.trace('message.remove called');
 
       var query = table
         .select(table.star())
         .from(table)
-        .where(table['mailbox_id'].equals(mailbox.getId()))
+        .where(table.id.equals(instance.getId()))
         .toQuery();
       query = provider.forUpdate(query);
 
@@ -445,12 +1082,485 @@ function createApi(table, provider, sqlGenerator, dependencies) {
 
           return transaction.runQuery(query)
             .then(function(result) {
-              var query = table
-                .delete()
-                .where(table['mailbox_id'].equals(mailbox.getId()))
-                .toQuery();
+              var where = table.id.equals(instance.getId());
+
+              var message = result.rows[0];
+              message = convertFromStorage(message);
+              // messages already in the trash are left untouched
+              var removed = (message && !(trash.enabled && message.deletedAt)) ?
+                [instance]: [];
 
-              return transaction.runQuery(query)
+              return removeMessages(transaction, where)
+                .then(function() {
+                  return audit(transaction, 'deleted', removed, actor, trashed);
+                })
+                .then(function() {
+                  return transaction.commit();
+                })
+                .then(function() {
+                  dependencies.logger.debug({
+                    message: instance
+                  }, 'Message removed');
+
+                  return message;
+                });
+            })
+            .catch(function(err) {
+              return transaction.rollback()
+                .finally(function() {
+                  throw new Error(err);
+                });
+            });
+        });
+    },
+
+    /**
+     * Deletes the messages with the given ids in a single transaction. When
+     * soft delete is enabled the messages are moved to the trash instead and
+     * messages already in the trash are left untouched.
+     *
+     * @param {integer[]} ids - ids of the messages to delete
+     * @param {string} actor - who or what deleted the messages
+     * @returns {Q} promise - a promise containing an object with the deleted
+     *   messages and the read/unread count deltas of their mailbox
+     */
+    removeMany: function(ids, actor) {
+      dependencies.logger.trace('message.removeMany called');
+
+      return updateMany(ids, this, function(bound, messages) {
+        if (trash.enabled) {
+          messages = messages.filter(function(message) {
+            return !message.deletedAt;
+          });
+        }
+
+        return removeMessages(bound, table.id.in(ids))
+          .then(function() {
+            return audit(bound, 'deleted', messages, actor, trashed);
+          })
+          .then(function() {
+            var result = countDeltas(messages, -1);
+
+            dependencies.logger.debug({
+              result: result
+            }, 'Messages removed');
+
+            return result;
+          });
+      });
+    },
+
+    /**
+     * Moves the messages with the given ids to the given folder in a single
+     * transaction. Read/unread counts are unchanged by moving messages.
+     *
+     * @param {integer[]} ids - ids of the messages to move
+     * @param {Folder} folder - folder instance to move the messages to
+     * @param {string} actor - who or what moved the messages
+     * @returns {Q} promise - a promise containing an object with the moved
+     *   messages and the read/unread count deltas of their mailbox
+     */
+    moveMany: function(ids, folder, actor) {
+      dependencies.logger.trace('message.moveMany called');
+
+      var self = this;
+
+      return updateMany(ids, this, function(bound, messages) {
+        var query = table
+          .update({'folder_id': folder.getId()})
+          .where(table.id.in(ids).and(table['deleted_at'].isNull()))
+          .toQuery();
+
+        var moved = messages.map(function(message) {
+          return self.create(
+            message.getMailbox(), folder, message, message.getId());
+        });
+
+        return bound.runQuery(query)
+          .then(function() {
+            return audit(bound, 'moved', moved, actor, function(message, i) {
+              return {from: messages[i].getFolder().getId()};
+            });
+          })
+          .then(function() {
+            var result = countDeltas(moved, 0);
+
+            dependencies.logger.debug({
+              result: result
+            }, 'Messages moved');
+
+            return result;
+          });
+      });
+    },
+
+    /**
+     * Marks the messages with the given ids as read in a single transaction.
+     * Only messages that were unread are returned.
+     *
+     * @param {integer[]} ids - ids of the messages to mark as read
+     * @param {string} actor - who or what marked the messages
+     * @returns {Q} promise - a promise containing an object with the updated
+     *   messages and the read/unread count deltas of their mailbox
+     */
+    markManyAsRead: function(ids, actor) {
+      dependencies.logger.trace('message.markManyAsRead called');
+
+      return updateMany(ids, this, function(bound, messages) {
+        var unread = messages.filter(function(message) {
+          return message.markAsRead();
+        });
+        /*jshint newcap:false*/
+        var promise = Q();
+
+        if (unread.length) {
+          var query = table
+            .update({read: 'Y'})
+            .where(table.id.in(unread.map(function(message) {
+              return message.getId();
+            })))
+            .toQuery();
+
+          promise = bound.runQuery(query)
+            .then(function() {
+              return audit(bound, 'read', unread, actor);
+            });
+        }
+
+        return promise
+          .then(function() {
+            var result = {
+              messages: unread,
+              read: unread.length,
+              unread: -unread.length,
+              urgent: -unread.filter(function(message) {
+                return message.urgent;
+              }).length
+            };
+
+            dependencies.logger.debug({
+              result: result
+            }, 'Messages marked as read');
+
+            return result;
+          });
+      });
+    },
+
+    /**
+     * Deletes messages older than the retention policy of their context and
+     * folder. A policy for both a context and a folder takes precedence over
+     * a policy for the folder, which takes precedence over a policy for the
+     * context. Messages are deleted in batches, each in its own transaction,
+     * and the read/unread counts of their mailbox are adjusted accordingly.
+     *
+     * @param {Moment} now - date retention is computed from, defaults to now
+     * @param {Object} options - purge options
+     * @param {integer} options.batchSize - messages deleted per transaction
+     *   (default 100)
+     * @returns {Q} promise - a promise containing the deleted messages, their
+     *   mailbox and folder only expose their id
+     */
+    purgeExpired: function(now, options) {
+      dependencies.logger.trace('message.purgeExpired called');
+
+      var self = this;
+      var batchSize = (options && options.batchSize) || 100;
+      var policies = require('./retentionpolicy.js')(
+        {provider: provider}, dependencies);
+      var removed = [];
+      /*jshint newcap:false*/
+      var start = Q();
+      now = now || moment.utc();
+
+      return policies.all()
+        .then(function(all) {
+          return all.reduce(function(series, policy) {
+            return series.then(function() {
+              var where = expiredWhere(policy, all, now);
+
+              return purgeBatches(self, where, batchSize, true, 'expired')
+                .then(function(messages) {
+                  removed = removed.concat(messages);
+                });
+            });
+          }, start);
+        })
+        .then(function() {
+          dependencies.logger.debug({
+            count: removed.length
+          }, 'Expired messages purged');
+
+          return removed;
+        });
+    },
+
+    /**
+     * Returns the messages of the given mailbox that are in the trash, most
+     * recently deleted first. Their folder only exposes its id.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @returns {Q} promise - a promise containing an array of messages
+     */
+    trash: function(mailbox) {
+      dependencies.logger.trace('message.trash called');
+
+      var self = this;
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(table['mailbox_id'].equals(mailbox.getId())
+          .and(table['deleted_at'].isNotNull()))
+        .order(table['deleted_at'].descending, table.id)
+        .toQuery();
+
+      return common.find(query, provider, constructor)
+        .then(function(result) {
+          var messages = result.map(function(message) {
+            return convertFromStorage(message);
+          });
+
+          dependencies.logger.debug({
+            messages: messages
+          }, 'Trash loaded');
+
+          return messages;
+        });
+
+      function constructor(id, row) {
+        return self.create(mailbox, reference(row['folder_id']), id);
+      }
+    },
+
+    /**
+     * Restores a message from the trash and adds it back to the read/unread
+     * counts of its mailbox in the same transaction.
+     *
+     * @param {Message} instance - message instance in the trash
+     * @param {string} actor - who or what restored the message
+     * @param {Function} mwi - an optional function to update mwi counts that
+     *   returns a promise
+     * @returns {Q} promise - a promise containing the restored message
+     */
+    restore: function(instance, actor, mwi) {
+      dependencies.logger.trace('message.restore called');
+
+      var self = this;
+      var where = table.id.equals(instance.getId())
+        .and(table['deleted_at'].isNotNull());
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(where)
+        .toQuery();
+      mwi = mwi || function() {
+        /*jshint newcap:false*/
+        return Q();
+      };
+
+      return transactions.run(provider, function(bound) {
+        var mailboxes = require('./mailbox.js')(
+          boundConfig(bound), dependencies);
+
+        return bound.runQuery(bound.forUpdate(query))
+          .then(function(result) {
+            var row = result.rows[0];
+
+            if (!row) {
+              throw new Error(util.format(
+                'Message %s is not in the trash', instance.getId()));
+            }
+
+            var message = convertFromStorage(row);
+            var update = table
+              .update({'deleted_at': null})
+              .where(where)
+              .toQuery();
+
+            return bound.runQuery(update)
+              .then(function() {
+                return mailboxes.restoredMessage(
+                  instance.getMailbox(), message.read, mwi, message.urgent);
+              })
+              .then(function() {
+                return audit(bound, 'restored', [instance], actor);
+              });
+          });
+      })
+        .then(function() {
+          return self.get(instance);
+        })
+        .then(function(message) {
+          dependencies.logger.debug({
+            message: message
+          }, 'Message restored');
+
+          return message;
+        });
+    },
+
+    /**
+     * Permanently deletes messages that have been in the trash longer than
+     * the configured number of days, in batches.
+     *
+     * @param {Moment} now - date the delay is computed from, defaults to now
+     * @param {Object} options - purge options
+     * @param {integer} options.batchSize - messages deleted per transaction
+     *   (default 100)
+     * @returns {Q} promise - a promise containing the deleted messages, their
+     *   mailbox and folder only expose their id
+     */
+    purgeDeleted: function(now, options) {
+      dependencies.logger.trace('message.purgeDeleted called');
+
+      var batchSize = (options && options.batchSize) || 100;
+      var cutoff = moment(now || moment.utc()).utc()
+        .subtract(trash.days, 'days');
+      var where = table['deleted_at']
+        .lt(provider.convertDateForStorage(cutoff));
+
+      // counts were already updated when the messages were removed
+      return purgeBatches(this, where, batchSize, false, 'purged')
+        .then(function(removed) {
+          dependencies.logger.debug({
+            count: removed.length
+          }, 'Deleted messages purged');
+
+          return removed;
+        });
+    },
+
+    /**
+     * Returns the audit history of the given message, oldest first. The
+     * history remains available after the message is deleted.
+     *
+     * @param {Message} message - message instance
+     * @returns {Q} promise - a promise containing an array of audit entries
+     */
+    history: function(message) {
+      dependencies.logger.trace('message.history called');
+
+      return require('./audit.js')({provider: provider}, dependencies)
+        .find({message: message});
+    },
+
+    /**
+     * Returns the messages of every mailbox of the given context left by the
+     * given caller number, newest first. Numbers are compared without
+     * separators such as spaces or dashes. The folders of the returned
+     * messages only expose getId.
+     *
+     * @param {string} number - caller number
+     * @param {Context} context - context instance
+     * @returns {Q} promise - a promise containing an array of messages
+     */
+    findByCaller: function(number, context) {
+      dependencies.logger.trace('message.findByCaller called');
+
+      var self = this;
+      var mailboxRepo = require('./mailbox.js')(
+        {provider: provider}, dependencies);
+      var mailboxes = mailboxRepo.getTable();
+
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(table['caller_number'].equals(callerIds.normalizeNumber(number))
+          .and(table['deleted_at'].isNull())
+          .and(table['mailbox_id'].in(mailboxes
+            .subQuery()
+            .select(mailboxes.id)
+            .where(mailboxes['context_id'].equals(context.getId())))))
+        .order(table.date.descending, table.id)
+        .toQuery();
+
+      return mailboxRepo.findByContext(context)
+        .then(function(contextMailboxes) {
+          return common.find(query, provider, constructor)
+            .then(function(result) {
+              return result.map(function(message) {
+                return convertFromStorage(message);
+              });
+            });
+
+          function constructor(id, row) {
+            var mailbox = contextMailboxes.filter(function(candidate) {
+              return candidate.getId() === row['mailbox_id'];
+            })[0];
+
+            return self.create(mailbox, reference(row['folder_id']), id);
+          }
+        })
+        .then(function(messages) {
+          dependencies.logger.debug({
+            messages: messages
+          }, 'Messages found by caller');
+
+          return messages;
+        });
+    },
+
+    /**
+     * Parses the caller name and number of messages saved before they were
+     * stored separately. Messages are updated options.batchSize (default
+     * 100) at a time, each batch in its own transaction.
+     *
+     * @param {Object} options - backfill options
+     * @param {integer} options.batchSize - messages updated per transaction
+     * @returns {Q} promise - a promise containing the number of messages
+     *   updated
+     */
+    backfillCallers: function(options) {
+      dependencies.logger.trace('message.backfillCallers called');
+
+      options = options || {};
+      var batchSize = options.batchSize || 100;
+
+      return backfillBatches(0, batchSize)
+        .then(function(count) {
+          dependencies.logger.debug({
+            count: count
+          }, 'Message callers backfilled');
+
+          return count;
+        });
+    },
+
+    /**
+     * Deletes all messages belonging to the specific mailbox
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @param {string} actor - who or what deleted the messages
+     */
+    removeByMailbox: function (mailbox, actor) {
+      dependencies.logger.trace('message.removeByMailbox called');
+
+      var self = this;
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(table['mailbox_id'].equals(mailbox.getId()))
+        .toQuery();
+      query = provider.forUpdate(query);
+
+      return provider.beginTransaction(true)
+        .then(function(transaction) {
+
+          return transaction.runQuery(query)
+            .then(function(result) {
+              var where = table['mailbox_id'].equals(mailbox.getId());
+              var messages = result.rows.map(function(row) {
+                return self.create(
+                  mailbox, reference(row['folder_id']), row.id);
+              });
+
+              return deleteMessages(transaction, where)
+                .then(function() {
+                  return audit(transaction, 'deleted', messages, actor,
+                               function() {
+                                 return {trash: false};
+                               });
+                })
                 .then(function() {
                   return transaction.commit();
                 })
@@ -468,6 +1578,42 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     }
   };
 
+  /**
+   * Returns the count, total and average duration of the messages matching
+   * the given where clause, ignoring messages in the trash.
+   *
+   * @param {object} where - node-sql where clause
+   * @returns {Q} promise - a promise containing an object with count, total
+   *   and average
+   */
+  function durationStats(where) {
+    var query = table
+      .select(
+        table.id.count('total'),
+        sqlGenerator.functions.SUM(table.duration).as('duration'))
+      .from(table)
+      .where(where.and(table['deleted_at'].isNull()))
+      .toQuery();
+
+    return provider.runQuery(query)
+      .then(function(result) {
+        var row = result.rows[0];
+        var count = +row.total;
+        var total = +row.duration || 0;
+        var stats = {
+          count: count,
+          total: total,
+          average: count ? total / count: 0
+        };
+
+        dependencies.logger.debug({
+          stats: stats
+        }, 'Message durations aggregated');
+
+        return stats;
+      });
+  }
+
   /**
    * Returns a count of all messages for the given mailbox and folder.
    */
@@ -478,12 +1624,715 @@ function createApi(table, provider, sqlGenerator, dependencies) {
       .select('count(*)')
       .from(table)
       .where(table['mailbox_id'].equals(mailbox.getId())
-        .and(table['folder_id'].equals(folder.getId())))
+        .and(table['folder_id'].equals(folder.getId()))
+        .and(table['deleted_at'].isNull()))
       .toQuery();
 
     return common.count(table, query, provider);
   }
 
+  /**
+   * Locks the messages with the given ids that are not in the trash and
+   * calls update with a provider bound to the transaction and the locked
+   * messages. The mailbox and folder of these messages only expose their id.
+   *
+   * @param {integer[]} ids - ids of the messages to update
+   * @param {Object} repo - message repository creating the instances
+   * @param {Function} update - a function taking the bound provider and the
+   *   messages and returning a promise containing the result
+   * @returns {Q} promise - a promise containing the result of update
+   */
+  function updateMany(ids, repo, update) {
+    dependencies.logger.trace('message.updateMany called');
+
+    if (!ids.length) {
+      /*jshint newcap:false*/
+      return Q(countDeltas([], 0));
+    }
+
+    var query = table
+      .select(table.star())
+      .from(table)
+      .where(table.id.in(ids).and(table['deleted_at'].isNull()))
+      .toQuery();
+    query = provider.forUpdate(query);
+
+    return transactions.run(provider, function(bound) {
+      return common.find(query, bound, constructor)
+        .then(function(result) {
+          return update(bound, result.map(function(message) {
+            return convertFromStorage(message);
+          }));
+        });
+    });
+
+    function constructor(id, row) {
+      return repo.create(
+        reference(row['mailbox_id']), reference(row['folder_id']), id);
+    }
+  }
+
+  /**
+   * Returns the given messages along with the read/unread/urgent count deltas
+   * resulting from adding (1) or removing (-1) them from their mailbox.
+   * Only unread urgent messages are counted as urgent.
+   *
+   * @param {Message[]} messages - affected messages
+   * @param {integer} sign - 1 if added, -1 if removed, 0 if unchanged
+   * @returns {Object} result - object with messages, read, unread and urgent
+   *   deltas
+   */
+  function countDeltas(messages, sign) {
+    var read = messages.filter(function(message) {
+      return message.read;
+    }).length;
+    var urgent = messages.filter(function(message) {
+      return !message.read && message.urgent;
+    }).length;
+
+    return {
+      messages: messages,
+      read: sign * read,
+      unread: sign * (messages.length - read),
+      urgent: sign * urgent
+    };
+  }
+
+  /**
+   * Returns the config of this repository with its provider replaced by the
+   * given transaction bound provider, keeping every other setting.
+   *
+   * @param {object} bound - provider bound to a transaction
+   * @returns {Object} config - config for transaction bound repositories
+   */
+  function boundConfig(bound) {
+    var result = Object.create(config);
+    result.provider = bound;
+
+    return result;
+  }
+
+  /**
+   * Locks the mailbox of the given new message and ensures saving it will not
+   * exceed the mailbox quota.
+   *
+   * @param {object} bound - provider bound to the saving transaction
+   * @param {Message} instance - new message instance
+   * @returns {Q} promise - a promise rejected with a QuotaExceededError if
+   *   the quota would be exceeded
+   */
+  function checkQuota(bound, instance) {
+    dependencies.logger.trace('message.checkQuota called');
+
+    var mailbox = instance.getMailbox();
+    var mailboxes = require('./mailbox.js')(boundConfig(bound), dependencies);
+    var mailboxTable = mailboxes.getTable();
+    var query = mailboxTable
+      .select(mailboxTable.id)
+      .from(mailboxTable)
+      .where(mailboxTable.id.equals(mailbox.getId()))
+      .toQuery();
+    query = bound.forUpdate(query);
+
+    return bound.runQuery(query)
+      .then(function() {
+        // like Asterisk, maxmsg applies to each folder separately
+        return mailboxes.usage(mailbox, instance.getFolder());
+      })
+      .then(function(usage) {
+        var limits = usage.limits;
+
+        if (limits.maxmsg !== undefined && usage.count >= limits.maxmsg) {
+          throw new errors.QuotaExceededError(util.format(
+            'Mailbox %s has reached its limit of %d messages per folder',
+            mailbox.mailboxNumber, limits.maxmsg), 'maxmsg', limits.maxmsg);
+        }
+
+        var seconds = duration.parse(instance.duration);
+
+        if (limits.maxsecs !== undefined && seconds > limits.maxsecs) {
+          throw new errors.QuotaExceededError(util.format(
+            'Message duration of %d seconds exceeds the limit of %d seconds',
+            seconds, limits.maxsecs), 'maxsecs', limits.maxsecs);
+        }
+      });
+  }
+
+  /**
+   * Deletes the messages matching the given where clause in batches, each
+   * batch in its own transaction.
+   *
+   * @param {Object} repo - message repository creating the instances
+   * @param {object} where - node-sql where clause
+   * @param {integer} batchSize - messages deleted per transaction
+   * @param {bool} adjust - whether to remove the deleted messages from the
+   *   read/unread counts of their mailbox
+   * @param {string} reason - reason recorded in the audit history
+   * @returns {Q} promise - a promise containing the deleted messages, their
+   *   mailbox and folder only expose their id
+   */
+  function purgeBatches(repo, where, batchSize, adjust, reason) {
+    dependencies.logger.trace('message.purgeBatches called');
+
+    var query = table
+      .select(table.star())
+      .from(table)
+      .where(where)
+      .order(table.id)
+      .limit(batchSize)
+      .toQuery();
+    query = provider.forUpdate(query);
+
+    return transactions.run(provider, function(bound) {
+      return common.find(query, bound, constructor)
+        .then(function(result) {
+          var messages = result.map(function(message) {
+            return convertFromStorage(message);
+          });
+
+          if (!messages.length) {
+            return messages;
+          }
+
+          var where = table.id.in(messages.map(function(message) {
+            return message.getId();
+          }));
+
+          return deleteMessages(bound, where)
+            .then(function() {
+              return audit(bound, 'deleted', messages, null, function() {
+                return {trash: false, reason: reason};
+              });
+            })
+            .then(function() {
+              if (adjust) {
+                return adjustCounts(bound, messages);
+              }
+            })
+            .then(function() {
+              return messages;
+            });
+        });
+    })
+      .then(function(messages) {
+        // a full batch means more messages may match
+        if (messages.length < batchSize) {
+          return messages;
+        }
+
+        return purgeBatches(repo, where, batchSize, adjust, reason)
+          .then(function(more) {
+            return messages.concat(more);
+          });
+      });
+
+    function constructor(id, row) {
+      return repo.create(
+        reference(row['mailbox_id']), reference(row['folder_id']), id);
+    }
+  }
+
+  /**
+   * Parses the caller ids of messages after the given id that have neither
+   * a caller name nor a caller number, one batch per transaction. Messages
+   * are walked by id so caller ids without a name or number are only parsed
+   * once.
+   *
+   * @param {integer} afterId - id of the last message already parsed
+   * @param {integer} batchSize - messages updated per transaction
+   * @returns {Q} promise - a promise containing the number of messages
+   *   updated
+   */
+  function backfillBatches(afterId, batchSize) {
+    var query = table
+      .select(table.id, table['caller_id'])
+      .from(table)
+      .where(table.id.gt(afterId)
+        .and(table['caller_id'].isNotNull())
+        .and(table['caller_name'].isNull())
+        .and(table['caller_number'].isNull()))
+      .order(table.id)
+      .limit(batchSize)
+      .toQuery();
+    query = provider.forUpdate(query);
+
+    return transactions.run(provider, function(bound) {
+      return bound.runQuery(query)
+        .then(function(result) {
+          var rows = result.rows;
+          /*jshint newcap:false*/
+          var start = Q();
+
+          return rows.reduce(function(series, row) {
+            return series.then(function() {
+              var caller = callerIds.parse(row['caller_id']);
+              var query = table
+                .update({
+                  'caller_name': caller.name,
+                  'caller_number': caller.number
+                })
+                .where(table.id.equals(row.id))
+                .toQuery();
+
+              return bound.runQuery(query);
+            });
+          }, start)
+            .then(function() {
+              return rows;
+            });
+        });
+    })
+      .then(function(rows) {
+        // a full batch means more messages may match
+        if (rows.length < batchSize) {
+          return rows.length;
+        }
+
+        return backfillBatches(rows[rows.length - 1].id, batchSize)
+          .then(function(more) {
+            return rows.length + more;
+          });
+      });
+  }
+
+  /**
+   * Returns a where clause matching messages that expired under the given
+   * retention policy and are not covered by a more specific policy.
+   *
+   * @param {RetentionPolicy} policy - retention policy instance
+   * @param {RetentionPolicy[]} policies - all retention policies
+   * @param {Moment} now - date retention is computed from
+   * @returns {object} where - node-sql where clause
+   */
+  function expiredWhere(policy, policies, now) {
+    var mailboxes = require('./mailbox.js')(
+      {provider: provider}, dependencies).getTable();
+    var cutoff = moment(now).utc().subtract(policy.days, 'days');
+    var contextId = scopeId(policy.getContext());
+    var folderId = scopeId(policy.getFolder());
+    // trashed messages are purged by purgeDeleted
+    var where = table.date.lt(provider.convertDateForStorage(cutoff))
+      .and(table['deleted_at'].isNull());
+
+    if (folderId !== null) {
+      where = where.and(table['folder_id'].equals(folderId));
+    }
+
+    if (contextId !== null) {
+      where = where.and(table['mailbox_id'].in(inContexts([contextId])));
+    }
+
+    var overriding = policies.filter(function(other) {
+      var otherContextId = scopeId(other.getContext());
+      var otherFolderId = scopeId(other.getFolder());
+
+      if (folderId === null) {
+        // folder policies override context policies
+        return otherFolderId !== null &&
+          (otherContextId === null || otherContextId === contextId);
+      }
+
+      // context and folder policies override folder policies
+      return contextId === null && otherFolderId === folderId &&
+        otherContextId !== null;
+    });
+
+    if (overriding.length && folderId === null) {
+      where = where.and(table['folder_id'].notIn(
+        overriding.map(function(other) {
+          return scopeId(other.getFolder());
+        })));
+    } else if (overriding.length) {
+      where = where.and(table['mailbox_id'].notIn(inContexts(
+        overriding.map(function(other) {
+          return scopeId(other.getContext());
+        }))));
+    }
+
+    return where;
+
+    function inContexts(ids) {
+      return mailboxes
+        .subQuery()
+        .select(mailboxes.id)
+        .from(mailboxes)
+        .where(mailboxes['context_id'].in(ids));
+    }
+
+    function scopeId(scope) {
+      return scope ? scope.getId(): null;
+    }
+  }
+
+  /**
+   * Removes the given deleted messages from the read/unread/urgent counts of
+   * their mailbox.
+   *
+   * @param {object} bound - provider bound to the deleting transaction
+   * @param {Message[]} messages - deleted messages
+   * @returns {Q} promise - a promise resolved once every mailbox is updated
+   */
+  function adjustCounts(bound, messages) {
+    var mailboxes = require('./mailbox.js')(
+      boundConfig(bound), dependencies).getTable();
+    var deltas = messages.reduce(function(deltas, message) {
+      var id = message.getMailbox().getId();
+      deltas[id] = deltas[id] || {read: 0, unread: 0, urgent: 0};
+      deltas[id][message.read ? 'read': 'unread'] += 1;
+
+      if (!message.read && message.urgent) {
+        deltas[id].urgent += 1;
+      }
+
+      return deltas;
+    }, {});
+    /*jshint newcap:false*/
+    var start = Q();
+
+    return Object.keys(deltas).reduce(function(series, id) {
+      return series.then(function() {
+        var query = mailboxes
+          .select(mailboxes.read, mailboxes.unread, mailboxes.urgent)
+          .from(mailboxes)
+          .where(mailboxes.id.equals(id))
+          .toQuery();
+        query = bound.forUpdate(query);
+
+        return bound.runQuery(query)
+          .then(function(result) {
+            var row = result.rows[0];
+            var query = mailboxes
+              .update({
+                read: Math.max((+row.read || 0) - deltas[id].read, 0),
+                unread: Math.max((+row.unread || 0) - deltas[id].unread, 0),
+                urgent: Math.max((+row.urgent || 0) - deltas[id].urgent, 0)
+              })
+              .where(mailboxes.id.equals(id))
+              .toQuery();
+
+            return bound.runQuery(query);
+          });
+      });
+    }, start);
+  }
+
+  /**
+   * Deletes the messages matching the given where clause, or moves them to
+   * the trash if soft delete is enabled. Trashed messages keep their metadata
+   * until they are purged.
+   *
+   * @param {object} runner - provider or transaction running the queries
+   * @param {object} where - node-sql where clause
+   * @returns {Q} promise - a promise containing the result of the removal
+   */
+  function removeMessages(runner, where) {
+    if (!trash.enabled) {
+      return deleteMessages(runner, where);
+    }
+
+    var deletedAt = provider.convertDateForStorage(moment.utc());
+    var query = table
+      .update({'deleted_at': deletedAt})
+      .where(where.and(table['deleted_at'].isNull()))
+      .toQuery();
+
+    return runner.runQuery(query);
+  }
+
+  /**
+   * Deletes the messages matching the given where clause along with their
+   * metadata, recordings and tags.
+   *
+   * @param {object} runner - provider or transaction running the queries
+   * @param {object} where - node-sql where clause
+   * @returns {Q} promise - a promise containing the result of the deletion
+   */
+  function deleteMessages(runner, where) {
+    var related = [
+      metadataRepo(provider).getTable(),
+      require('./messagerecording.js')(
+        {provider: provider}, dependencies).getTable(),
+      messageTagTable()
+    ];
+    /*jshint newcap:false*/
+    var start = Q();
+
+    return related.reduce(function(series, relatedTable) {
+      return series.then(function() {
+        var query = relatedTable
+          .delete()
+          .where(relatedTable['message_id'].in(
+            table.subQuery().select(table.id).where(where)))
+          .toQuery();
+
+        return runner.runQuery(query);
+      });
+    }, start)
+      .then(function() {
+        var query = table
+          .delete()
+          .where(where)
+          .toQuery();
+
+        return runner.runQuery(query);
+      });
+  }
+
+  /**
+   * Returns a where clause matching values of the column containing the given
+   * text. LIKE wildcards in the text are escaped so they match literally.
+   *
+   * @param {object} column - node-sql column
+   * @param {string} text - text to search for
+   * @returns {object} where - node-sql where clause
+   */
+  function contains(column, text) {
+    var escaped = String(text).replace(/[\\%_]/g, '\\$&');
+
+    return common.operation(
+      column, 'LIKE', util.format('%%%s%%', escaped), 'ESCAPE', '\\');
+  }
+
+  /**
+   * Returns a where clause matching messages whose transcription matches the
+   * given text. Postgres uses full text search while other databases match
+   * transcriptions containing the text.
+   *
+   * @param {string} text - text to search for
+   * @returns {object} where - node-sql where clause
+   */
+  function transcriptWhere(text) {
+    var metadata = metadataRepo(provider).getTable();
+    var match;
+
+    if (provider.getDialect() === 'postgres') {
+      match = common.operation(
+        sqlGenerator.functionCallCreator('TO_TSVECTOR')(metadata.transcription),
+        '@@',
+        sqlGenerator.functionCallCreator('PLAINTO_TSQUERY')(text));
+    } else {
+      match = contains(metadata.transcription, text);
+    }
+
+    return table.id.in(metadata
+      .subQuery()
+      .select(metadata['message_id'])
+      .where(match));
+  }
+
+  /**
+   * Records the given action in the audit history of each given message
+   * using the given runner, so entries are written in the transaction of the
+   * change they record.
+   *
+   * @param {object} runner - provider or transaction running the queries
+   * @param {string} action - created, read, unread, moved, forwarded, deleted
+   *   or restored
+   * @param {Message[]} messages - messages the action was applied to
+   * @param {string} actor - who or what applied the action
+   * @param {Function} describe - optional function taking a message and its
+   *   index and returning the details of the action
+   * @returns {Q} promise - a promise containing the result of recording
+   */
+  function audit(runner, action, messages, actor, describe) {
+    var entries = require('./audit.js')(
+      {provider: provider}, dependencies).getTable();
+    var date = provider.convertDateForStorage(moment.utc());
+    /*jshint newcap:false*/
+    var start = Q();
+
+    return messages.reduce(function(series, message, i) {
+      return series.then(function() {
+        var details = describe ? describe(message, i): null;
+        var query = entries
+          .insert({
+            'message_id': message.getId(),
+            'mailbox_id': message.getMailbox().getId(),
+            'folder_id': message.getFolder().getId(),
+            action: action,
+            actor: actor || null,
+            date: date,
+            details: details ? JSON.stringify(details): null
+          })
+          .toQuery();
+
+        return runner.runQuery(query);
+      });
+    }, start);
+  }
+
+  /**
+   * Returns the audit details of a deleted message.
+   *
+   * @returns {Object} details - whether the message was moved to the trash
+   */
+  function trashed() {
+    return {trash: trash.enabled};
+  }
+
+  /**
+   * Restricts the given where clause to messages having every given tag.
+   *
+   * @param {object} where - node-sql where clause
+   * @param {Tag|Tag[]} tags - tag instances
+   * @returns {object} where - node-sql where clause
+   */
+  function tagged(where, tags) {
+    var messageTags = messageTagTable();
+    tags = (Array.isArray(tags)) ? tags: [tags];
+
+    return tags.reduce(function(clause, tag) {
+      return clause.and(table.id.in(messageTags
+        .subQuery()
+        .select(messageTags['message_id'])
+        .where(messageTags['tag_id'].equals(tag.getId()))));
+    }, where);
+  }
+
+  /**
+   * Returns the message tag table definition.
+   *
+   * @returns {object} table - node-sql table definition
+   */
+  function messageTagTable() {
+    return require('./messagetag.js')(
+      {provider: provider}, dependencies).getTable();
+  }
+
+  /**
+   * Returns a message metadata repository using the given provider.
+   *
+   * @param {object} runner - provider instance
+   * @returns {object} repo - message metadata repository
+   */
+  function metadataRepo(runner) {
+    return require('./messagemetadata.js')({provider: runner}, dependencies);
+  }
+
+  /**
+   * Returns a readable object stream pushing the messages returned by fetch
+   * one batch at a time. The next batch is only fetched once the previous
+   * one has been read.
+   *
+   * @param {Function} fetch - a function taking the cursor of the previous
+   *   batch and returning a promise containing an object with messages and
+   *   the cursor of the next batch, null on the last batch
+   * @returns {Readable} stream - a readable stream of message instances
+   */
+  function createStream(fetch) {
+    var stream = new Readable({objectMode: true});
+    var cursor;
+    var fetching = false;
+
+    stream._read = function() {
+      if (fetching) {
+        return;
+      }
+
+      fetching = true;
+      fetch(cursor)
+        .then(function(batch) {
+          fetching = false;
+          cursor = batch.cursor;
+
+          dependencies.logger.debug({
+            count: batch.messages.length
+          }, 'Message batch streamed');
+
+          batch.messages.forEach(function(message) {
+            stream.push(message);
+          });
+
+          if (cursor === null) {
+            stream.push(null);
+          }
+        })
+        .catch(function(err) {
+          stream.emit('error', err);
+        })
+        .done();
+    };
+
+    return stream;
+  }
+
+  /**
+   * Returns an opaque cursor pointing after the given message.
+   *
+   * @param {Message} message - last message of a page
+   * @returns {string} cursor - cursor for the next page
+   */
+  function encodeCursor(message) {
+    var position = JSON.stringify({
+      date: message.date.toISOString(),
+      id: message.getId()
+    });
+
+    return Buffer.from(position).toString('base64');
+  }
+
+  /**
+   * Returns the date and id a cursor points after or undefined if the cursor
+   * is not valid.
+   *
+   * @param {string} cursor - cursor returned with a page
+   * @returns {Object} position - object containing a moment date and an id
+   */
+  function decodeCursor(cursor) {
+    var position;
+
+    if (typeof(cursor) !== 'string') {
+      return undefined;
+    }
+
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    } catch (err) {
+      return undefined;
+    }
+
+    if (!position || typeof(position) !== 'object') {
+      return undefined;
+    }
+
+    var date = moment.utc(position.date, moment.ISO_8601);
+
+    if (!date.isValid() || typeof(position.id) !== 'number') {
+      return undefined;
+    }
+
+    return {
+      date: date,
+      id: position.id
+    };
+  }
+
+  /**
+   * Returns a reference to a related record for which no instance is
+   * available, only exposing its id.
+   *
+   * @param {integer} id - id of the related record
+   */
+  function reference(id) {
+    return {
+      getId: function() {
+        return id;
+      }
+    };
+  }
+
+  /**
+   * Sets the caller name and number of the given message from its caller id.
+   *
+   * @param {Message} message - message instance
+   */
+  function parseCaller(message) {
+    var caller = callerIds.parse(message.callerId);
+
+    message.callerName = caller.name;
+    message.callerNumber = caller.number;
+  }
+
   /**
    * Modifies certain types from db storage to object format.
    */
@@ -491,9 +2340,20 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     dependencies.logger.trace('message.convertFromStorage called');
 
     if (message) {
-      // convert read and date from storage
+      // convert read, urgent, duration and date from storage
       message.read = message.read === 'Y' ? true : false;
+      message.urgent = message.urgent === 'Y' ? true : false;
+      message.duration = duration.parse(message.duration);
       message.date = provider.convertDateFromStorage(message.date);
+
+      // messages saved before caller ids were parsed may not be backfilled
+      if (message.callerName === null && message.callerNumber === null) {
+        parseCaller(message);
+      }
+
+      if (message.deletedAt) {
+        message.deletedAt = provider.convertDateFromStorage(message.deletedAt);
+      }
     }
 
     return message;
@@ -506,9 +2366,16 @@ function createApi(table, provider, sqlGenerator, dependencies) {
     dependencies.logger.trace('message.convertForStorage called');
 
     if (message) {
-      // convert read for storage
+      // convert read and urgent for storage, durations may be legacy text
       message.read = message.read ? 'Y': 'N';
+      message.urgent = message.urgent ? 'Y': 'N';
+      message.duration = duration.parse(message.duration);
       message.date = provider.convertDateForStorage(message.date);
+      parseCaller(message);
+
+      if (message.deletedAt) {
+        message.deletedAt = provider.convertDateForStorage(message.deletedAt);
+      }
     }
 
     return message;
@@ -524,9 +2391,8 @@ function createApi(table, provider, sqlGenerator, dependencies) {
  * @returns {Object} repo - message repository
  */
 module.exports = function(config, dependencies) {
-  var file = util.format('../providers/%s.js', config.provider);
-  var provider = require(file)(config, dependencies);
-  var sqlGenerator = new sql.Sql(config.provider);
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
 
   var tableName = 'vm_message';
   var columns = [{
@@ -550,6 +2416,9 @@ module.exports = function(config, dependencies) {
     name: 'read',
     dataType: 'char(1)',
     notNull: true
+  }, {
+    name: 'urgent',
+    dataType: 'char(1)'
   }, {
     name: 'date',
     dataType: provider.getDateType(),
@@ -560,9 +2429,15 @@ module.exports = function(config, dependencies) {
   }, {
     name: 'caller_id',
     dataType: 'varchar(100)'
+  }, {
+    name: 'caller_name',
+    dataType: 'varchar(100)'
+  }, {
+    name: 'caller_number',
+    dataType: 'varchar(50)'
   }, {
     name: 'duration',
-    dataType: 'varchar(100)',
+    dataType: 'integer',
     notNull: true
   }, {
     name: 'folder_id',
@@ -572,6 +2447,9 @@ module.exports = function(config, dependencies) {
       column: 'id'
     },
     notNull: true
+  }, {
+    name: 'deleted_at',
+    dataType: provider.getDateType()
   }];
   var table = sqlGenerator.define({
     name: tableName,
@@ -583,7 +2461,12 @@ module.exports = function(config, dependencies) {
     table,
     provider,
     sqlGenerator,
-    dependencies
+    dependencies,
+    {
+      enabled: !!config.softDelete,
+      days: (config.trashDays === undefined) ? 30: config.trashDays
+    },
+    config
   ), provider.overrides.message);
 
   return repo;
@@ -0,0 +1,316 @@
+/**
+ * Message metadata repository for interacting with message metadata records
+ * such as transcriptions.
+ *
+ * @module messageMetadata
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+
+/**
+ * Returns an API for interacting with message metadata.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
+
+  return {
+    /**
+     * Creates a message metadata table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('messageMetadata.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates message metadata indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('messageMetadata.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_message_metadata_message_id',
+        ['message_id'],
+        provider
+      );
+    },
+
+    /**
+     * Drops the message metadata table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('messageMetadata.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the message metadata table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Create an instance of message metadata. Properties hold arbitrary
+     * key/values along with the transcription.
+     *
+     * @param {Message} message - message instance
+     * @param {Object} fields - key/value field mappings
+     * @param {Number} id - message metadata id
+     */
+    create: function(message, fields, id) {
+      dependencies.logger.trace('messageMetadata.create called');
+
+      id = common.optionalArgument(fields, id, 'number');
+
+      var instance = {
+        transcription: undefined,
+        confidence: undefined,
+        language: undefined,
+        properties: undefined,
+
+        getId: function() {
+          return id;
+        },
+
+        getMessage: function() {
+          return message;
+        }
+      };
+
+      return common.populateFields(instance, fields);
+    },
+
+    /**
+     * Returns the metadata of the given message or null if the message has
+     * none.
+     *
+     * @param {Message} message - message instance
+     * @returns {Q} promise - a promise containing the message metadata
+     */
+    get: function(message) {
+      dependencies.logger.trace('messageMetadata.get called');
+
+      var where = table['message_id'].equals(message.getId());
+
+      return common.get(table, where, provider, constructor.bind(this))
+        .then(function(metadata) {
+          var result = convertFromStorage(metadata);
+
+          dependencies.logger.debug({
+            metadata: result
+          }, 'Message metadata loaded');
+
+          return result;
+        });
+
+      function constructor(id) {
+        /*jshint validthis:true*/
+        return this.create(message, id);
+      }
+    },
+
+    /**
+     * Attaches metadata to the given message, updating the given fields of
+     * any metadata the message already has. Given properties are merged with
+     * existing properties.
+     *
+     * @param {Message} message - message instance
+     * @param {Object} fields - transcription, confidence, language and
+     *   properties of the message
+     * @returns {Q} promise - a promise containing the saved message metadata
+     */
+    attach: function(message, fields) {
+      dependencies.logger.trace('messageMetadata.attach called');
+
+      fields = fields || {};
+
+      return transactions.run(provider, function(bound) {
+        var repo = module.exports({provider: bound}, dependencies);
+        var query = table
+          .select(table.star())
+          .from(table)
+          .where(table['message_id'].equals(message.getId()))
+          .toQuery();
+        query = bound.forUpdate(query);
+
+        return common.find(query, bound, constructor)
+          .then(function(result) {
+            var existing = convertFromStorage(result[0]);
+            var instance = repo.create(message, existing || {},
+                                       existing ? existing.getId(): undefined);
+
+            common.populateFields(instance, fields);
+            instance.properties = merge(
+              existing ? existing.properties: {}, fields.properties);
+
+            return repo.save(instance);
+          });
+
+        function constructor(id) {
+          return repo.create(message, id);
+        }
+      })
+        .then(function(saved) {
+          dependencies.logger.debug({
+            metadata: saved
+          }, 'Message metadata attached');
+
+          return saved;
+        });
+    },
+
+    /**
+     * Save a message metadata instance to the database.
+     */
+    save: function(instance) {
+      dependencies.logger.trace('messageMetadata.save called');
+
+      var self = this;
+      // convert a copy so the given instance keeps its object format
+      var tempObject = convertForStorage(
+        this.create(instance.getMessage(), instance, instance.getId()));
+
+      return common.save(tempObject, table, provider)
+        .then(function(id) {
+          return self.create(instance.getMessage(), instance, id);
+        });
+    },
+
+    /**
+     * Deletes a message metadata instance from the database.
+     */
+    remove: function(instance) {
+      dependencies.logger.trace('messageMetadata.remove called');
+
+      return common.remove(instance, table, provider)
+        .then(function() {
+          dependencies.logger.debug({
+            metadata: instance
+          }, 'Message metadata removed');
+        });
+    }
+  };
+
+  /**
+   * Returns a copy of the given properties with the updates applied.
+   *
+   * @param {Object} properties - existing key/values
+   * @param {Object} updates - key/values to add or replace
+   * @returns {Object} properties - the merged key/values
+   */
+  function merge(properties, updates) {
+    return [properties, updates || {}].reduce(function(merged, source) {
+      Object.keys(source).forEach(function(key) {
+        merged[key] = source[key];
+      });
+
+      return merged;
+    }, {});
+  }
+
+  /**
+   * Modifies certain types from db storage to object format.
+   */
+  function convertFromStorage(metadata) {
+    dependencies.logger.trace('messageMetadata.convertFromStorage called');
+
+    if (metadata) {
+      // properties are stored as json text
+      metadata.properties = (typeof(metadata.properties) === 'string') ?
+        JSON.parse(metadata.properties): {};
+
+      if (metadata.confidence !== null && metadata.confidence !== undefined) {
+        metadata.confidence = +metadata.confidence;
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Modifies certain types from object format for db storage.
+   */
+  function convertForStorage(metadata) {
+    dependencies.logger.trace('messageMetadata.convertForStorage called');
+
+    if (metadata) {
+      metadata.properties = JSON.stringify(metadata.properties || {});
+    }
+
+    return metadata;
+  }
+}
+
+/**
+ * Returns a repository that can be used to interact with message metadata.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - message metadata repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  var tableName = 'vm_message_metadata';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'message_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_message',
+      column: 'id'
+    },
+    notNull: true
+  }, {
+    name: 'transcription',
+    dataType: 'text'
+  }, {
+    name: 'confidence',
+    dataType: 'real'
+  }, {
+    name: 'language',
+    dataType: 'varchar(35)'
+  }, {
+    name: 'properties',
+    dataType: 'text'
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.messageMetadata);
+
+  return repo;
+};
@@ -0,0 +1,331 @@
+/**
+ * Message recording repository for interacting with the recordings of a
+ * message in each of its formats.
+ *
+ * @module messageRecording
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+var Q = require('q');
+
+/**
+ * Returns an API for interacting with message recordings.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
+
+  return {
+    /**
+     * Creates a message recording table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('messageRecording.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates message recording indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('messageRecording.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_message_recording_message_id_format',
+        ['message_id', 'format'],
+        provider
+      );
+    },
+
+    /**
+     * Drops the message recording table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('messageRecording.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the message recording table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Create an instance of a message recording. Formats are stored in lower
+     * case.
+     *
+     * @param {Message} message - message instance
+     * @param {Object} fields - key/value field mappings
+     * @param {Number} id - message recording id
+     */
+    create: function(message, fields, id) {
+      dependencies.logger.trace('messageRecording.create called');
+
+      id = common.optionalArgument(fields, id, 'number');
+
+      var instance = {
+        format: undefined,
+        uri: undefined,
+        size: undefined,
+        checksum: undefined,
+
+        getId: function() {
+          return id;
+        },
+
+        getMessage: function() {
+          return message;
+        }
+      };
+
+      instance = common.populateFields(instance, fields);
+
+      if (instance.format) {
+        instance.format = instance.format.toLowerCase();
+      }
+
+      return instance;
+    },
+
+    /**
+     * Returns the recordings of the given message ordered by format.
+     *
+     * @param {Message} message - message instance
+     * @returns {Q} promise - a promise containing an array of recordings
+     */
+    all: function(message) {
+      dependencies.logger.trace('messageRecording.all called');
+
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(table['message_id'].equals(message.getId()))
+        .order(table.format)
+        .toQuery();
+
+      return common.find(query, provider, constructor.bind(this))
+        .then(function(results) {
+          results.forEach(convertFromStorage);
+
+          dependencies.logger.debug({
+            recordings: results
+          }, 'Message recordings loaded');
+
+          return results;
+        });
+
+      function constructor(id) {
+        /*jshint validthis:true*/
+        return this.create(message, id);
+      }
+    },
+
+    /**
+     * Adds a recording format to the given message, replacing the recording
+     * of that format if the message already has one. The message is locked
+     * so recordings added at the same time cannot both be inserted.
+     *
+     * @param {Message} message - message instance
+     * @param {Object} fields - format, uri, size and checksum of the recording
+     * @returns {Q} promise - a promise containing the saved recording
+     */
+    add: function(message, fields) {
+      dependencies.logger.trace('messageRecording.add called');
+
+      var self = this;
+      var instance = this.create(message, fields);
+
+      if (!instance.format || !instance.uri) {
+        return Q.reject(new Error(
+          'Message recording requires a format and uri'));
+      }
+
+      return transactions.run(provider, function(bound) {
+        var repo = module.exports({provider: bound}, dependencies);
+        var messages = require('./message.js')(
+          {provider: bound}, dependencies).getTable();
+        var lock = messages
+          .select(messages.id)
+          .from(messages)
+          .where(messages.id.equals(message.getId()))
+          .toQuery();
+        var query = table
+          .select(table.id)
+          .from(table)
+          .where(table['message_id'].equals(message.getId())
+            .and(table.format.equals(instance.format)))
+          .toQuery();
+
+        return bound.runQuery(bound.forUpdate(lock))
+          .then(function() {
+            return bound.runQuery(bound.forUpdate(query));
+          })
+          .then(function(result) {
+            var existing = result.rows[0];
+
+            if (existing) {
+              instance = self.create(message, instance, existing.id);
+            }
+
+            return repo.save(instance);
+          });
+      })
+        .then(function(saved) {
+          dependencies.logger.debug({
+            recording: saved
+          }, 'Message recording added');
+
+          return saved;
+        });
+    },
+
+    /**
+     * Returns the recording of the given message in the first of the given
+     * formats the message is available in, or null if it is available in
+     * none of them.
+     *
+     * @param {Message} message - message instance
+     * @param {string[]} formats - formats supported by the endpoint in order
+     *   of preference
+     * @returns {Q} promise - a promise containing the best recording
+     */
+    best: function(message, formats) {
+      dependencies.logger.trace('messageRecording.best called');
+
+      formats = formats.map(function(format) {
+        return format.toLowerCase();
+      });
+
+      return this.all(message)
+        .then(function(recordings) {
+          var ranked = recordings
+            .filter(function(recording) {
+              return formats.indexOf(recording.format) !== -1;
+            })
+            .sort(function(first, second) {
+              return formats.indexOf(first.format) -
+                formats.indexOf(second.format);
+            });
+
+          return ranked[0] || null;
+        });
+    },
+
+    /**
+     * Save a message recording instance to the database.
+     */
+    save: function(instance) {
+      dependencies.logger.trace('messageRecording.save called');
+
+      var self = this;
+
+      return common.save(instance, table, provider)
+        .then(function(id) {
+          return self.create(instance.getMessage(), instance, id);
+        });
+    },
+
+    /**
+     * Deletes a message recording instance from the database.
+     */
+    remove: function(instance) {
+      dependencies.logger.trace('messageRecording.remove called');
+
+      return common.remove(instance, table, provider)
+        .then(function() {
+          dependencies.logger.debug({
+            recording: instance
+          }, 'Message recording removed');
+        });
+    }
+  };
+
+  /**
+   * Modifies certain types from db storage to object format.
+   */
+  function convertFromStorage(recording) {
+    dependencies.logger.trace('messageRecording.convertFromStorage called');
+
+    if (recording && recording.size !== null && recording.size !== undefined) {
+      recording.size = +recording.size;
+    }
+
+    return recording;
+  }
+}
+
+/**
+ * Returns a repository that can be used to interact with message recordings.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - message recording repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  var tableName = 'vm_message_recording';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'message_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_message',
+      column: 'id'
+    },
+    notNull: true
+  }, {
+    name: 'format',
+    dataType: 'varchar(20)',
+    notNull: true
+  }, {
+    name: 'uri',
+    dataType: 'varchar(255)',
+    notNull: true
+  }, {
+    name: 'size',
+    dataType: 'integer'
+  }, {
+    name: 'checksum',
+    dataType: 'varchar(128)'
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.messageRecording);
+
+  return repo;
+};
@@ -0,0 +1,285 @@
+/**
+ * Message tag repository for tagging and untagging messages.
+ *
+ * @module messageTag
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var util = require('util');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+
+/**
+ * Returns an API for interacting with message tags.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
+
+  return {
+    /**
+     * Creates a message tag table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('messageTag.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates message tag indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('messageTag.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_message_tag_message_id_tag_id',
+        ['message_id', 'tag_id'],
+        provider
+      );
+    },
+
+    /**
+     * Drops the message tag table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('messageTag.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the message tag table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Tags the given message. Tagging a message twice with the same tag has
+     * no effect. Tags of another mailbox or context are rejected.
+     *
+     * @param {Message} message - message instance
+     * @param {Tag} tag - tag instance
+     * @returns {Q} promise - a promise containing true if the message was
+     *   not already tagged
+     */
+    tag: function(message, tag) {
+      dependencies.logger.trace('messageTag.tag called');
+
+      return transactions.run(provider, function(bound) {
+        var query = table
+          .select(table.id)
+          .from(table)
+          .where(table['message_id'].equals(message.getId())
+            .and(table['tag_id'].equals(tag.getId())))
+          .toQuery();
+        query = bound.forUpdate(query);
+
+        return checkScope(bound, message, tag)
+          .then(function() {
+            return bound.runQuery(query);
+          })
+          .then(function(result) {
+            if (result && result.rows.length) {
+              return false;
+            }
+
+            var insert = bound.forInsert(table
+              .insert({
+                'message_id': message.getId(),
+                'tag_id': tag.getId()
+              })
+              .toQuery());
+
+            return bound.runQuery(insert)
+              .then(function() {
+                return true;
+              });
+          });
+      })
+        .then(function(tagged) {
+          dependencies.logger.debug({
+            message: message,
+            tag: tag
+          }, 'Message tagged');
+
+          return tagged;
+        });
+    },
+
+    /**
+     * Removes the given tag from the given message.
+     *
+     * @param {Message} message - message instance
+     * @param {Tag} tag - tag instance
+     */
+    untag: function(message, tag) {
+      dependencies.logger.trace('messageTag.untag called');
+
+      var query = table
+        .delete()
+        .where(table['message_id'].equals(message.getId())
+          .and(table['tag_id'].equals(tag.getId())))
+        .toQuery();
+
+      return provider.runQuery(query)
+        .then(function() {
+          dependencies.logger.debug({
+            message: message,
+            tag: tag
+          }, 'Message untagged');
+        });
+    },
+
+    /**
+     * Returns the tags of the given message ordered by name.
+     *
+     * @param {Message} message - message instance
+     * @returns {Q} promise - a promise containing an array of tags
+     */
+    all: function(message) {
+      dependencies.logger.trace('messageTag.all called');
+
+      var tagRepo = require('./tag.js')({provider: provider}, dependencies);
+      var tags = tagRepo.getTable();
+      var mailbox = message.getMailbox();
+      var query = tags
+        .select(tags.star())
+        .from(tags)
+        .where(tags.id.in(table
+          .subQuery()
+          .select(table['tag_id'])
+          .where(table['message_id'].equals(message.getId()))))
+        .order(tags.name, tags.id)
+        .toQuery();
+
+      return common.find(query, provider, constructor)
+        .then(function(results) {
+          dependencies.logger.debug({
+            tags: results
+          }, 'Message tags loaded');
+
+          return results;
+        });
+
+      function constructor(id, row) {
+        if (row['mailbox_id'] !== null) {
+          return tagRepo.create(null, mailbox, id);
+        }
+
+        return tagRepo.create(mailbox.getContext(), null, id);
+      }
+    }
+  };
+
+  /**
+   * Ensures the given tag applies to the mailbox of the given message, being
+   * either a tag of that mailbox or a tag of its context.
+   *
+   * @param {object} bound - provider bound to the tagging transaction
+   * @param {Message} message - message instance
+   * @param {Tag} tag - tag instance
+   * @returns {Q} promise - a promise rejected if the tag does not apply
+   */
+  function checkScope(bound, message, tag) {
+    var tags = require('./tag.js')({provider: bound}, dependencies).getTable();
+    var mailboxes = require('./mailbox.js')(
+      {provider: bound}, dependencies).getTable();
+    var messages = require('./message.js')(
+      {provider: bound}, dependencies).getTable();
+    var tagQuery = tags
+      .select(tags['context_id'], tags['mailbox_id'])
+      .from(tags)
+      .where(tags.id.equals(tag.getId()))
+      .toQuery();
+    var mailboxQuery = mailboxes
+      .select(mailboxes.id, mailboxes['context_id'])
+      .from(mailboxes.join(messages)
+        .on(messages['mailbox_id'].equals(mailboxes.id)))
+      .where(messages.id.equals(message.getId()))
+      .toQuery();
+
+    return bound.runQuery(tagQuery)
+      .then(function(tagResult) {
+        return bound.runQuery(mailboxQuery)
+          .then(function(mailboxResult) {
+            var scope = tagResult.rows[0];
+            var mailbox = mailboxResult.rows[0];
+            var applies = scope && mailbox && ((scope['mailbox_id'] !== null) ?
+              +scope['mailbox_id'] === +mailbox.id:
+              +scope['context_id'] === +mailbox['context_id']);
+
+            if (!applies) {
+              throw new Error(util.format(
+                'Tag %s does not apply to the mailbox of message %s',
+                tag.getId(), message.getId()));
+            }
+          });
+      });
+  }
+}
+
+/**
+ * Returns a repository that can be used to interact with message tags.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - message tag repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  var tableName = 'vm_message_tag';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'message_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_message',
+      column: 'id'
+    },
+    notNull: true
+  }, {
+    name: 'tag_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_tag',
+      column: 'id'
+    },
+    notNull: true
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.messageTag);
+
+  return repo;
+};
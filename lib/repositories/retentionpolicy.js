@@ -0,0 +1,268 @@
+/**
+ * Retention policy repository for interacting with retention policy records.
+ *
+ * @module retentionPolicy
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+var Q = require('q');
+
+/**
+ * Returns an API for interacting with retention policies.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
+
+  return {
+    /**
+     * Creates a retention policy table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('retentionPolicy.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates retention policy indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('retentionPolicy.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_retention_policy_context_id_folder_id',
+        ['context_id', 'folder_id'],
+        provider
+      );
+    },
+
+    /**
+     * Drops the retention policy table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('retentionPolicy.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the retention policy table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Create an instance of a retention policy. A policy without a context
+     * applies to every context and a policy without a folder applies to
+     * every folder.
+     *
+     * @param {Context} context - context instance or null
+     * @param {Folder} folder - folder instance or null
+     * @param {Object} fields - key/value field mappings
+     * @param {Number} id - retention policy id
+     */
+    create: function(context, folder, fields, id) {
+      dependencies.logger.trace('retentionPolicy.create called');
+
+      id = common.optionalArgument(fields, id, 'number');
+
+      var instance = {
+        days: undefined,
+
+        getId: function() {
+          return id;
+        },
+
+        getContext: function() {
+          return context;
+        },
+
+        getFolder: function() {
+          return folder;
+        }
+      };
+
+      return common.populateFields(instance, fields);
+    },
+
+    /**
+     * Returns all retention policy instances from the database. Contexts and
+     * folders of these policies only expose their id.
+     */
+    all: function() {
+      dependencies.logger.trace('retentionPolicy.all called');
+
+      var query = table
+        .select(table.star())
+        .from(table)
+        .toQuery();
+
+      return common.find(query, provider, constructor.bind(this))
+        .then(function(results) {
+          dependencies.logger.debug({
+            retentionPolicies: results
+          }, 'Retention policies loaded');
+
+          return results;
+        });
+
+      function constructor(id, row) {
+        /*jshint validthis:true*/
+        return this.create(
+          reference(row['context_id']), reference(row['folder_id']), id);
+      }
+    },
+
+    /**
+     * Save a retention policy instance to the database. Policies must apply
+     * to a context, a folder or both and only one policy can apply to the
+     * same context and folder.
+     */
+    save: function(instance) {
+      dependencies.logger.trace('retentionPolicy.save called');
+
+      var self = this;
+
+      if (!instance.getContext() && !instance.getFolder()) {
+        return Q.reject(new Error(
+          'Retention policy requires a context or a folder'));
+      }
+
+      return transactions.run(provider, function(bound) {
+        var scopes = [{
+          column: 'context_id',
+          table: require('./context.js')(
+            {provider: bound}, dependencies).getTable(),
+          related: instance.getContext()
+        }, {
+          column: 'folder_id',
+          table: require('./folder.js')(
+            {provider: bound}, dependencies).getTable(),
+          related: instance.getFolder()
+        }];
+
+        return common.hasDuplicate(instance, table, bound, scopes)
+          .then(function(duplicate) {
+            if (duplicate) {
+              throw new Error('A retention policy already applies to this ' +
+                              'context and folder');
+            }
+
+            return common.save(instance, table, bound);
+          });
+      })
+        .then(function(id) {
+          var saved = self.create(
+            instance.getContext(), instance.getFolder(), instance, id);
+
+          dependencies.logger.debug({
+            retentionPolicy: saved
+          }, 'Retention policy saved');
+
+          return saved;
+        });
+    },
+
+    /**
+     * Deletes a retention policy instance from the database.
+     */
+    remove: function(instance) {
+      dependencies.logger.trace('retentionPolicy.remove called');
+
+      return common.remove(instance, table, provider)
+        .then(function() {
+          dependencies.logger.debug({
+            retentionPolicy: instance
+          }, 'Retention policy removed');
+        });
+    }
+  };
+
+  /**
+   * Returns a reference to a related record only exposing its id, or null if
+   * there is no related record.
+   *
+   * @param {integer} id - id of the related record
+   */
+  function reference(id) {
+    if (id === null || id === undefined) {
+      return null;
+    }
+
+    return {
+      getId: function() {
+        return id;
+      }
+    };
+  }
+}
+
+/**
+ * Returns a repository that can be used to interact with retention policies.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - retention policy repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  var tableName = 'vm_retention_policy';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'context_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_context',
+      column: 'id'
+    }
+  }, {
+    name: 'folder_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_folder',
+      column: 'id'
+    }
+  }, {
+    name: 'days',
+    dataType: 'integer',
+    notNull: true
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.retentionPolicy);
+
+  return repo;
+};
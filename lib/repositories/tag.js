@@ -0,0 +1,280 @@
+/**
+ * Tag repository for interacting with tag records. Tags label messages
+ * beyond the folder they are stored in.
+ *
+ * @module tag
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var sql = require('sql');
+var util = require('util');
+var Compose = require('compose');
+var providers = require('../helpers/provider.js');
+var Q = require('q');
+
+/**
+ * Returns an API for interacting with tags.
+ *
+ * @param {object} table - node-sql table definition
+ * @param {object} provider - database specific provider instance
+ * @param {object} table - node-sql generator
+ * @param {object} dependencies - object keyed by module dependencies
+ */
+function createApi(table, provider, sqlGenerator, dependencies) {
+  var common = require('../helpers/common.js')(dependencies);
+  var transactions = require('../helpers/transaction.js')(dependencies);
+
+  return {
+    /**
+     * Creates a tag table.
+     */
+    createTable: function() {
+      dependencies.logger.trace('tag.createTable called');
+
+      return common.createTable(table, provider);
+    },
+
+    /**
+     * Creates tag indexes.
+     */
+    createIndexes: function() {
+      dependencies.logger.trace('tag.createIndexes called');
+
+      return common.createIndex(
+        table,
+        'vm_tag_context_id_mailbox_id_name',
+        ['context_id', 'mailbox_id', 'name'],
+        provider
+      );
+    },
+
+    /**
+     * Drops the tag table.
+     */
+    dropTable: function() {
+      dependencies.logger.trace('tag.dropTable called');
+
+      return common.dropTable(table, provider);
+    },
+
+    /**
+     * Returns the tag table definition.
+     */
+    getTable: function() {
+      return table;
+    },
+
+    /**
+     * Create an instance of a tag. A tag with a mailbox only applies to that
+     * mailbox while a tag with only a context applies to every mailbox of
+     * the context.
+     *
+     * @param {Context} context - context instance or null
+     * @param {Mailbox} mailbox - mailbox instance or null
+     * @param {Object} fields - key/value field mappings
+     * @param {Number} id - tag id
+     */
+    create: function(context, mailbox, fields, id) {
+      dependencies.logger.trace('tag.create called');
+
+      id = common.optionalArgument(fields, id, 'number');
+
+      var instance = {
+        name: undefined,
+
+        getId: function() {
+          return id;
+        },
+
+        getContext: function() {
+          return context;
+        },
+
+        getMailbox: function() {
+          return mailbox;
+        }
+      };
+
+      return common.populateFields(instance, fields);
+    },
+
+    /**
+     * Returns the tags that can be used by the given mailbox, its own tags
+     * along with the tags of its context, ordered by name.
+     *
+     * @param {Mailbox} mailbox - mailbox instance
+     * @returns {Q} promise - a promise containing an array of tags
+     */
+    all: function(mailbox) {
+      dependencies.logger.trace('tag.all called');
+
+      var self = this;
+      var context = mailbox.getContext();
+      var query = table
+        .select(table.star())
+        .from(table)
+        .where(table['mailbox_id'].equals(mailbox.getId())
+          .or(table['context_id'].equals(context.getId())
+            .and(table['mailbox_id'].isNull())))
+        .order(table.name, table.id)
+        .toQuery();
+
+      return common.find(query, provider, constructor)
+        .then(function(results) {
+          dependencies.logger.debug({
+            tags: results
+          }, 'Tags loaded');
+
+          return results;
+        });
+
+      function constructor(id, row) {
+        if (row['mailbox_id'] !== null) {
+          return self.create(null, mailbox, id);
+        }
+
+        return self.create(context, null, id);
+      }
+    },
+
+    /**
+     * Save a tag instance to the database. Tags must have a name and belong
+     * to a context or a mailbox, names are unique within a context or a
+     * mailbox.
+     */
+    save: function(instance) {
+      dependencies.logger.trace('tag.save called');
+
+      var self = this;
+
+      if (!instance.name) {
+        return Q.reject(new Error('Tag requires a name'));
+      }
+
+      if (!instance.getContext() && !instance.getMailbox()) {
+        return Q.reject(new Error('Tag requires a context or a mailbox'));
+      }
+
+      return transactions.run(provider, function(bound) {
+        var scopes = [{
+          column: 'mailbox_id',
+          table: require('./mailbox.js')(
+            {provider: bound}, dependencies).getTable(),
+          related: instance.getMailbox()
+        }, {
+          column: 'context_id',
+          table: require('./context.js')(
+            {provider: bound}, dependencies).getTable(),
+          related: instance.getContext()
+        }];
+
+        return common.hasDuplicate(instance, table, bound, scopes,
+                                   table.name.equals(instance.name))
+          .then(function(duplicate) {
+            if (duplicate) {
+              throw new Error(util.format(
+                'Tag "%s" already exists', instance.name));
+            }
+
+            return common.save(instance, table, bound);
+          });
+      })
+        .then(function(id) {
+          var saved = self.create(
+            instance.getContext(), instance.getMailbox(), instance, id);
+
+          dependencies.logger.debug({
+            tag: saved
+          }, 'Tag saved');
+
+          return saved;
+        });
+    },
+
+    /**
+     * Deletes a tag instance from the database, untagging every message
+     * tagged with it.
+     */
+    remove: function(instance) {
+      dependencies.logger.trace('tag.remove called');
+
+      return transactions.run(provider, function(bound) {
+        var messageTags = require('./messagetag.js')(
+          {provider: bound}, dependencies).getTable();
+        var query = messageTags
+          .delete()
+          .where(messageTags['tag_id'].equals(instance.getId()))
+          .toQuery();
+
+        return bound.runQuery(query)
+          .then(function() {
+            return common.remove(instance, table, bound);
+          });
+      })
+        .then(function() {
+          dependencies.logger.debug({
+            tag: instance
+          }, 'Tag removed');
+        });
+    }
+  };
+}
+
+/**
+ * Returns a repository that can be used to interact with tags.
+ *
+ * @param {Object} config - config object containing connection string and
+ *                          provider name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Object} repo - tag repository
+ */
+module.exports = function(config, dependencies) {
+  var provider = providers.load(config, dependencies);
+  var sqlGenerator = new sql.Sql(provider.getDialect());
+
+  var tableName = 'vm_tag';
+  var columns = [{
+    name: 'id',
+    dataType: 'integer',
+    notNull: true,
+    primaryKey: true
+  }, {
+    name: 'context_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_context',
+      column: 'id'
+    }
+  }, {
+    name: 'mailbox_id',
+    dataType: 'integer',
+    references: {
+      table: 'vm_mailbox',
+      column: 'id'
+    }
+  }, {
+    name: 'name',
+    dataType: 'varchar(50)',
+    notNull: true
+  }];
+
+  var table = sqlGenerator.define({
+    name: tableName,
+    columns: columns
+  });
+
+  // provider specific overrides
+  var repo = Compose.call(createApi(
+    table,
+    provider,
+    sqlGenerator,
+    dependencies
+  ), provider.overrides.tag);
+
+  return repo;
+};
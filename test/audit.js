@@ -0,0 +1,209 @@
+/**
+ *  Audit specific unit tests.
+ *
+ *  @module tests-audit
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var moment = require('moment');
+var common = require('./helpers/common.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('audit', function () {
+  var config = common.getConfig();
+  var helper;
+  var message;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+
+        var instance = helper.dal.message.create(
+          helper.mailbox, helper.folders['0'], {
+            recording: 'audited',
+            read: false,
+            date: moment.utc(),
+            callerId: '"Doe" <5551234>',
+            duration: 10
+          });
+
+        return helper.dal.message.save(instance, 'asterisk');
+      })
+      .then(function(saved) {
+        message = saved;
+        done();
+      })
+      .done();
+  });
+
+  function actions(entries) {
+    return entries.map(function(entry) {
+      return entry.action;
+    });
+  }
+
+  it('should record the history of a message', function(done) {
+    var messages = helper.dal.message;
+
+    messages.markAsRead(message, 'user:1234')
+      .then(function() {
+        // already read, nothing to record
+        return messages.markAsRead(message, 'user:1234');
+      })
+      .then(function() {
+        // already in that folder, nothing to record
+        return messages.changeFolder(message, helper.folders['0'], 'user:1234');
+      })
+      .then(function() {
+        return messages.changeFolder(message, helper.folders['1'], 'user:1234');
+      })
+      .then(function(moved) {
+        return messages.remove(moved, 'admin');
+      })
+      .then(function() {
+        return messages.history(message);
+      })
+      .then(function(entries) {
+        assert.deepEqual(actions(entries),
+                         ['created', 'read', 'moved', 'deleted']);
+        assert(entries[0].getId());
+        assert(entries[0].messageId === message.getId());
+        assert(entries[0].mailboxId === helper.mailbox.getId());
+        assert(entries[0].actor === 'asterisk');
+        assert(moment.isMoment(entries[0].date));
+        assert(entries[1].actor === 'user:1234');
+        assert(entries[2].folderId === helper.folders['1'].getId());
+        assert.deepEqual(entries[2].details, {
+          from: helper.folders['0'].getId()
+        });
+        assert(entries[3].actor === 'admin');
+        assert.deepEqual(entries[3].details, {trash: false});
+        done();
+      })
+      .done();
+  });
+
+  it('should record forwarded messages', function(done) {
+    var messages = helper.dal.message;
+    var forwarded;
+
+    messages.forward(message, helper.mailbox, helper.folders['1'], {
+      actor: 'user:1234'
+    })
+      .then(function(instance) {
+        forwarded = instance;
+
+        return messages.history(message);
+      })
+      .then(function(entries) {
+        assert.deepEqual(actions(entries), ['created', 'forwarded']);
+        assert.deepEqual(entries[1].details, {
+          messageId: forwarded.getId(),
+          mailboxId: helper.mailbox.getId()
+        });
+
+        return messages.history(forwarded);
+      })
+      .then(function(entries) {
+        assert.deepEqual(actions(entries), ['created']);
+        assert(entries[0].actor === 'user:1234');
+        done();
+      })
+      .done();
+  });
+
+  it('should record batch operations', function(done) {
+    var messages = helper.dal.message;
+    var ids = [message.getId()];
+
+    messages.markManyAsRead(ids, 'user:1234')
+      .then(function() {
+        return messages.moveMany(ids, helper.folders['1'], 'user:1234');
+      })
+      .then(function() {
+        return messages.removeMany(ids, 'user:1234');
+      })
+      .then(function() {
+        return messages.history(message);
+      })
+      .then(function(entries) {
+        assert.deepEqual(actions(entries),
+                         ['created', 'read', 'moved', 'deleted']);
+        assert.deepEqual(entries[2].details, {
+          from: helper.folders['0'].getId()
+        });
+        done();
+      })
+      .done();
+  });
+
+  it('should support finding entries by mailbox and date', function(done) {
+    var audit = helper.dal.audit;
+
+    audit.find({mailbox: helper.mailbox})
+      .then(function(entries) {
+        // fixture messages and the message created by the test
+        assert(entries.length > 1);
+        entries.forEach(function(entry) {
+          assert(entry.mailboxId === helper.mailbox.getId());
+          assert(entry.action === 'created');
+        });
+
+        return audit.find({
+          mailbox: helper.mailbox,
+          since: moment.utc().add(1, 'days')
+        });
+      })
+      .then(function(entries) {
+        assert(entries.length === 0);
+
+        return audit.find({
+          mailbox: helper.mailbox,
+          since: moment.utc().subtract(1, 'days')
+        });
+      })
+      .then(function(entries) {
+        assert(entries.length > 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should be added to schemas created before migrations', function(done) {
+    var dal = helper.dal;
+
+    dal.migrate(0)
+      .then(function() {
+        return dal.audit.find({mailbox: helper.mailbox});
+      })
+      .catch(function(err) {
+        // the table does not exist before migrating
+        assert(err);
+
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+
+        return dal.message.markAsRead(message, 'user:1234');
+      })
+      .then(function() {
+        return dal.message.history(message);
+      })
+      .then(function(entries) {
+        assert.deepEqual(actions(entries), ['read']);
+        done();
+      })
+      .done();
+  });
+});
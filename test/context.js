@@ -18,10 +18,7 @@ var common = require('./helpers/common.js');
 var Q = require('q');
 
 describe('context', function () {
-  var config = {
-    connectionString: 'tests.db',
-    provider: 'sqlite'
-  };
+  var config = common.getConfig();
   var helper;
 
   beforeEach(function (done) {
@@ -69,6 +66,27 @@ describe('context', function () {
       .done();
   });
 
+  it('should return the saved instance with its id', function(done) {
+    var domain = 'asterisk.org';
+    var instance = helper.dal.context.create(domain);
+
+    helper.dal.context.save(instance)
+      .then(function(saved) {
+        assert(saved !== instance);
+        assert(saved.getId());
+        assert(saved.domain === domain);
+
+        return helper.dal.context.get(domain)
+          .then(function(context) {
+            assert(context.getId() === saved.getId());
+          });
+      })
+      .then(function() {
+        done();
+      })
+      .done();
+  });
+
   it('should support remove', function(done) {
     var domain = 'asterisk.org';
     var instance = helper.dal.context.create(domain);
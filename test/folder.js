@@ -17,10 +17,7 @@ var assert = require('assert');
 var common = require('./helpers/common.js');
 
 describe('folder', function () {
-  var config = {
-    connectionString: 'tests.db',
-    provider: 'sqlite'
-  };
+  var config = common.getConfig();
   var helper;
 
   beforeEach(function (done) {
@@ -13,6 +13,43 @@ var testFixtures = require('./fixtures.json');
 var Q = require('q');
 var moment = require('moment');
 var fs = require('fs');
+var providers = require('../../lib/helpers/provider.js');
+var migrator = require('../../lib/helpers/migrator.js');
+var migrations = require('../../lib/migrations/index.js');
+
+// tables in reverse dependency order for resetting server based databases
+var tables = [
+  'vm_provider_contract',
+  'vm_schema_version',
+  'vm_migration_second',
+  'vm_migration_first',
+  'vm_message_audit',
+  'vm_message_tag',
+  'vm_message_recording',
+  'vm_message_metadata',
+  'vm_message',
+  'vm_tag',
+  'vm_retention_policy',
+  'vm_folder',
+  'vm_mailbox_config',
+  'vm_mailbox',
+  'vm_context_config',
+  'vm_context'
+];
+
+/**
+ * Returns the database config to run the tests against. Defaults to a file
+ * based sqlite db but can be pointed at another provider using the
+ * VM_DATA_TEST_PROVIDER and VM_DATA_TEST_CONNECTION environment variables.
+ *
+ * @returns {object} dbConfig - database config
+ */
+function getConfig() {
+  return {
+    connectionString: process.env.VM_DATA_TEST_CONNECTION || 'tests.db',
+    provider: process.env.VM_DATA_TEST_PROVIDER || 'sqlite'
+  };
+}
 
 /**
  * Populates a test database with data from fixtures.
@@ -21,14 +58,12 @@ var fs = require('fs');
  * @returns {Q} promise - a promise that will return a test helper
  */
 function populateDb(dbConfig) {
-  var file = dbConfig.connectionString;
   var context;
   var mailbox;
   var folders = [];
   var dal;
 
-  // delete sqlite db
-  return deleteDb(file)
+  return resetDb(dbConfig)
     .then(function() {
       dal = getDal(dbConfig);
       var repos = [
@@ -37,7 +72,13 @@ function populateDb(dbConfig) {
         dal.mailbox,
         dal.mailboxConfig,
         dal.folder,
-        dal.message
+        dal.message,
+        dal.retentionPolicy,
+        dal.messageMetadata,
+        dal.messageRecording,
+        dal.tag,
+        dal.messageTag,
+        dal.audit
       ];
 
       /*jshint newcap:false*/
@@ -47,6 +88,13 @@ function populateDb(dbConfig) {
         });
       }, Q());
     })
+    .then(function() {
+      // tables were created at the latest version
+      var dependencies = {logger: getLogger()};
+      var provider = providers.load(dbConfig, dependencies);
+
+      return migrator(provider, migrations, dependencies).stamp();
+    })
     .then(function() {
       return createContextData(dal.context);
     })
@@ -89,6 +137,40 @@ function populateDb(dbConfig) {
     });
 }
 
+/**
+ * Removes all data from the test database. File based sqlite dbs are deleted,
+ * tables are dropped for any other provider. In memory dbs are discarded when
+ * the provider module is reloaded by getDal.
+ *
+ * @param {object} dbConfig - database config
+ * @returns {Q} promise - promise
+ */
+function resetDb(dbConfig) {
+  if (dbConfig.provider === 'sqlite') {
+    return deleteDb(dbConfig.connectionString);
+  }
+
+  if (dbConfig.provider === 'memory') {
+    /*jshint newcap:false*/
+    return Q();
+  }
+
+  var provider = require(
+    '../../lib/providers/' + dbConfig.provider + '.js')(dbConfig, {
+      logger: getLogger()
+    });
+
+  /*jshint newcap:false*/
+  return tables.reduce(function(series, table) {
+    return series.then(function() {
+      return provider.runQuery({
+        text: 'DROP TABLE IF EXISTS ' + table,
+        values: []
+      });
+    });
+  }, Q());
+}
+
 /**
  * Deletes a file based sqlite db.
  *
@@ -104,6 +186,20 @@ function deleteDb(file) {
     });
 }
 
+/**
+ * Returns a mock logger.
+ */
+function getLogger() {
+  return {
+    trace: function() {},
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {},
+    fatal: function() {}
+  };
+}
+
 /**
  * Returns a data access layer for the given connection string.
  *
@@ -111,7 +207,8 @@ function deleteDb(file) {
  */
 function getDal(dbConfig) {
   // force db modules to reload since we're deleting the db after each run
-  var name = require.resolve('../../lib/providers/sqlite.js');
+  var name = require.resolve(
+    '../../lib/providers/' + dbConfig.provider + '.js');
   delete require.cache[name];
   name = require.resolve('../../lib/db.js');
   delete require.cache[name];
@@ -120,16 +217,7 @@ function getDal(dbConfig) {
   // mock logger
   return data(dbConfig, {
     logger: {
-      child: function() {
-        return {
-          trace: function() {},
-          debug: function() {},
-          info: function() {},
-          warn: function() {},
-          error: function() {},
-          fatal: function() {}
-        };
-      }
+      child: getLogger
     }
   });
 }
@@ -280,5 +368,9 @@ function createInstances(fixtures, repo, constructor) {
 }
 
 module.exports = {
+  getConfig: getConfig,
+  getLogger: getLogger,
+  getDal: getDal,
+  resetDb: resetDb,
   populateDb: populateDb
 };
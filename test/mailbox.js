@@ -18,10 +18,7 @@ var common = require('./helpers/common.js');
 var Q = require('q');
 
 describe('mailbox', function () {
-  var config = {
-    connectionString: 'tests.db',
-    provider: 'sqlite'
-  };
+  var config = common.getConfig();
   var asyncDelay = 200;
   var helper;
   var mwi = function() {
@@ -102,6 +99,44 @@ describe('mailbox', function () {
       .done();
   });
 
+  it('should return the saved instance with its id', function(done) {
+    var context = helper.context;
+    var number = '5678';
+
+    var instance = helper.dal.mailbox.create(number, context, {
+      mailboxName: 'mine',
+      password: 'pass',
+      name: 'Samuel Galarneau',
+      email: 'sam@email.com'
+    });
+
+    helper.dal.mailbox.save(instance)
+      .then(function(saved) {
+        assert(saved.getId());
+        assert(saved.getContext() === context);
+        assert(saved.mailboxNumber === number);
+        assert(saved.email === 'sam@email.com');
+
+        var config = helper.dal.mailboxConfig.create(saved, {
+          key: 'max_sec',
+          value: '30'
+        });
+
+        return helper.dal.mailboxConfig.save(config);
+      })
+      .then(function(savedConfig) {
+        assert(savedConfig.getId());
+
+        return helper.dal.mailboxConfig.all(savedConfig.getMailbox());
+      })
+      .then(function(configs) {
+        assert(configs.length === 1);
+        assert(configs[0].key === 'max_sec');
+        done();
+      })
+      .done();
+  });
+
   it('should support remove', function(done) {
     var context = helper.context;
     var number = '5678';
@@ -188,6 +223,48 @@ describe('mailbox', function () {
       });
   });
 
+  it('should support reporting usage', function(done) {
+    var context = helper.context;
+    var number = '1234';
+    var mailbox;
+
+    helper.dal.mailbox.get(number, context)
+      .then(function(instance) {
+        mailbox = instance;
+        var maxmsg = helper.dal.contextConfig.create(context, {
+          key: 'maxmsg',
+          value: '100'
+        });
+
+        return helper.dal.contextConfig.save(maxmsg);
+      })
+      .then(function() {
+        return helper.dal.mailbox.usage(mailbox);
+      })
+      .then(function(usage) {
+        assert(usage.count === 2);
+        assert(usage.duration === 110);
+        assert(usage.limits.maxmsg === 100);
+        assert(usage.limits.maxsecs === undefined);
+
+        var maxsecs = helper.dal.mailboxConfig.create(mailbox, {
+          key: 'maxsecs',
+          value: ''
+        });
+
+        return helper.dal.mailboxConfig.save(maxsecs);
+      })
+      .then(function() {
+        return helper.dal.mailbox.usage(mailbox);
+      })
+      .then(function(usage) {
+        // empty values mean no limit
+        assert(usage.limits.maxsecs === undefined);
+        done();
+      })
+      .done();
+  });
+
   it('should support updating mwi through newMessage', function(done) {
     var context = helper.context;
     var number = '1234';
@@ -220,6 +297,123 @@ describe('mailbox', function () {
       .done();
   });
 
+  it('should support updating mwi through unreadMessage', function(done) {
+    var context = helper.context;
+    var number = '1234';
+
+    helper.dal.mailbox.get(number, context)
+      .then(function(mailbox) {
+        return helper.dal.mailbox.unreadMessage(mailbox, mwi);
+      })
+      .then(function(counts) {
+        assert(counts.read === 0);
+        assert(counts.unread === 2);
+        done();
+      })
+      .done();
+  });
+
+  it('should support updating urgent mwi counts', function(done) {
+    var context = helper.context;
+    var number = '1234';
+    var calls = [];
+
+    function urgentMwi(read, unread, urgent) {
+      calls.push(urgent);
+
+      return mwi();
+    }
+
+    helper.dal.mailbox.get(number, context)
+      .then(function(mailbox) {
+        return helper.dal.mailbox.newMessage(mailbox, urgentMwi, true)
+          .then(function() {
+            return helper.dal.mailbox.newMessage(mailbox, urgentMwi);
+          })
+          .then(function() {
+            return helper.dal.mailbox.readMessage(mailbox, urgentMwi, true);
+          })
+          .then(function() {
+            return helper.dal.mailbox.deletedMessage(
+              mailbox, false, urgentMwi, true);
+          });
+      })
+      .then(function(counts) {
+        assert.deepEqual(calls, [1, 1, 0, 0]);
+        assert(counts.urgent === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support recounting mwi from messages', function(done) {
+    var context = helper.context;
+    var number = '1234';
+    var calls = [];
+    var mailbox;
+
+    function recordMwi(read, unread) {
+      calls.push([read, unread]);
+
+      return mwi();
+    }
+
+    helper.dal.mailbox.get(number, context)
+      .then(function(instance) {
+        mailbox = instance;
+
+        return helper.dal.mailbox.recountMwi(mailbox, recordMwi);
+      })
+      .then(function(counts) {
+        assert(counts.read === 1);
+        assert(counts.unread === 1);
+        assert(!counts.changed);
+        assert(calls.length === 0);
+
+        return helper.dal.mailbox.readMessage(mailbox, mwi);
+      })
+      .then(function() {
+        return helper.dal.mailbox.recountMwi(mailbox, recordMwi);
+      })
+      .then(function(counts) {
+        assert(counts.changed);
+        assert.deepEqual(calls, [[1, 1]]);
+
+        return helper.dal.mailbox.recountMwi(mailbox, recordMwi, {
+          folders: [helper.folders['1']]
+        });
+      })
+      .then(function(counts) {
+        assert(counts.read === 0);
+        assert(counts.unread === 0);
+
+        return helper.dal.mailbox.get(number, context);
+      })
+      .then(function(instance) {
+        assert(instance.read === 0);
+        assert(instance.unread === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support recounting mwi for a context', function(done) {
+    var calls = [];
+
+    helper.dal.mailbox.recountAll(helper.context, function(mailbox) {
+      calls.push(mailbox.mailboxNumber);
+
+      return mwi();
+    })
+      .then(function(results) {
+        assert(results.length === 2);
+        // only the mailbox with null counts changed
+        assert.deepEqual(calls, [1111]);
+        done();
+      })
+      .done();
+  });
+
   it('should support updating mwi through deletedMessage', function(done) {
     var context = helper.context;
     var number = '1234';
@@ -18,10 +18,7 @@ var common = require('./helpers/common.js');
 
 
 describe('mailbox config', function () {
-  var config = {
-    connectionString: 'tests.db',
-    provider: 'sqlite'
-  };
+  var config = common.getConfig();
   var helper;
 
   beforeEach(function (done) {
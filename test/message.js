@@ -15,12 +15,14 @@
 
 var assert = require('assert');
 var common = require('./helpers/common.js');
+var moment = require('moment');
+var Q = require('q');
+var errors = require('../lib/errors.js');
+var sql = require('sql');
+var providers = require('../lib/helpers/provider.js');
 
 describe('message', function () {
-  var config = {
-    connectionString: 'tests.db',
-    provider: 'sqlite'
-  };
+  var config = common.getConfig();
   var helper;
   var asyncDelay = 300;
 
@@ -40,7 +42,7 @@ describe('message', function () {
     var instance = helper.dal.message.create(mailbox, folder, {
       recording: 'awesome-message.wav',
       callerId: 'John Smith',
-      duration: '10' 
+      duration: 10 
     });
     instance.init();
 
@@ -50,7 +52,7 @@ describe('message', function () {
     assert(instance.read === false);
     assert(instance.recording === 'awesome-message.wav');
     assert(instance.callerId === 'John Smith');
-    assert(instance.duration === '10');
+    assert(instance.duration === 10);
     done();
   });
 
@@ -61,7 +63,7 @@ describe('message', function () {
     var instance = helper.dal.message.create(mailbox, folder, {
       recording: 'awesome-message.wav',
       callerId: 'John Smith',
-      duration: '10' 
+      duration: 10 
     });
     instance.init();
 
@@ -97,6 +99,35 @@ describe('message', function () {
       .done();
   });
 
+  it('should support marking as unread', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    helper.dal.message.all(mailbox, folder)
+      .then(function(messages) {
+        var message = messages[1];
+
+        assert(message.read === true);
+
+        return helper.dal.message.markAsUnread(message)
+          .then(function(updated) {
+            assert(updated);
+
+            return helper.dal.message.get(message);
+          })
+          .then(function(message) {
+            assert(message.read === false);
+
+            return helper.dal.message.markAsUnread(message);
+          })
+          .then(function(updated) {
+            assert(!updated);
+            done();
+          });
+      })
+      .done();
+  });
+
   it('should support concurrent marking as read', function(done) {
     var mailbox = helper.mailbox;
     var folder = helper.folders['0'];
@@ -183,7 +214,7 @@ describe('message', function () {
         assert(message.recording === 'mymessage');
         assert(!message.read);
         assert(message.callerId === 'John Smith');
-        assert(message.duration === '50');
+        assert(message.duration === 50);
 
         message = messages[1];
         assert(message.getId());
@@ -192,12 +223,275 @@ describe('message', function () {
         assert(message.recording === 'myothermessage');
         assert(message.read);
         assert(message.callerId === 'Jane Smith');
-        assert(message.duration === '60');
+        assert(message.duration === 60);
         done();
       })
       .done();
   });
   
+  it('should list urgent messages first', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    var instance = helper.dal.message.create(mailbox, folder, {
+      recording: 'urgent-message.wav',
+      callerId: 'John Smith',
+      duration: 10,
+      urgent: true
+    });
+    instance.init();
+
+    helper.dal.message.save(instance)
+      .then(function() {
+        return helper.dal.message.all(mailbox, folder);
+      })
+      .then(function(messages) {
+        assert(messages.length === 3);
+        assert(messages[0].urgent);
+        assert(messages[0].recording === 'urgent-message.wav');
+        assert(!messages[1].urgent);
+        assert(!messages[2].urgent);
+        done();
+      })
+      .done();
+  });
+
+  it('should support summarizing messages per folder', function(done) {
+    var inbox = helper.folders['0'];
+
+    helper.dal.message.summary(helper.mailbox)
+      .then(function(summary) {
+        assert.deepEqual(Object.keys(summary), [String(inbox.getId())]);
+
+        var counts = summary[inbox.getId()];
+        assert(counts.total === 2);
+        assert(counts.read === 1);
+        assert(counts.unread === 1);
+        assert(counts.oldest.isBefore(counts.newest));
+        done();
+      })
+      .done();
+  });
+
+  it('should support finding messages', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    helper.dal.message.find(mailbox, {folders: folder})
+      .then(function(messages) {
+        assert(messages.length === 2);
+        assert(messages[0].recording === 'mymessage');
+        assert(messages[0].getFolder() === folder);
+        assert(messages[0].date.isBefore(messages[1].date));
+
+        return helper.dal.message.find(mailbox, {folders: helper.folders['1']});
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support finding messages using filters', function(done) {
+    var mailbox = helper.mailbox;
+    var message = helper.dal.message;
+
+    message.find(mailbox, {read: true})
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'myothermessage');
+        assert(messages[0].getFolder().getId() === helper.folders['0'].getId());
+
+        return message.find(mailbox, {
+          from: moment.utc('2014-01-01 12:00:00'),
+          to: moment.utc('2014-01-03 00:00:00')
+        });
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'myothermessage');
+
+        return message.find(mailbox, {callerId: 'John'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'mymessage');
+
+        return message.find(mailbox, {minDuration: 55, maxDuration: 100});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'myothermessage');
+        done();
+      })
+      .done();
+  });
+
+  it('should match caller id wildcards literally', function(done) {
+    var mailbox = helper.mailbox;
+    var message = helper.dal.message;
+    var instance = message.create(mailbox, helper.folders['0'], {
+      recording: 'wildcards',
+      read: false,
+      date: moment.utc(),
+      callerId: 'Sales 50% \\ Support',
+      duration: 10
+    });
+
+    message.find(mailbox, {callerId: '%'})
+      .then(function(messages) {
+        assert(messages.length === 0);
+
+        return message.find(mailbox, {callerId: '_ohn'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+
+        return message.save(instance);
+      })
+      .then(function() {
+        return message.find(mailbox, {callerId: '50%'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'wildcards');
+
+        return message.find(mailbox, {callerId: '% \\ S'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should support sorting and paging found messages', function(done) {
+    var mailbox = helper.mailbox;
+
+    helper.dal.message.find(mailbox, {
+      sort: 'duration',
+      direction: 'desc',
+      limit: 1
+    })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'myothermessage');
+
+        return helper.dal.message.find(mailbox, {
+          sort: 'duration',
+          direction: 'desc',
+          limit: 1,
+          offset: 1
+        });
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'mymessage');
+
+        return helper.dal.message.find(mailbox, {sort: 'recording'});
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/Cannot sort messages by recording/));
+        done();
+      })
+      .done();
+  });
+
+  it('should support paging with a cursor', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    helper.dal.message.page(mailbox, folder, {limit: 1})
+      .then(function(page) {
+        assert(page.messages.length === 1);
+        assert(page.messages[0].recording === 'mymessage');
+        assert(page.cursor);
+
+        return helper.dal.message.page(mailbox, folder, {
+          after: page.cursor,
+          limit: 1
+        });
+      })
+      .then(function(page) {
+        assert(page.messages.length === 1);
+        assert(page.messages[0].recording === 'myothermessage');
+        assert(page.cursor === null);
+
+        var cursors = ['bogus', 42, {id: 1}, Buffer.from('null'),
+                       Buffer.from('"text"').toString('base64')];
+
+        return Q.allSettled(cursors.map(function(cursor) {
+          return helper.dal.message.page(mailbox, folder, {after: cursor});
+        }));
+      })
+      .then(function(results) {
+        results.forEach(function(result) {
+          assert(result.state === 'rejected');
+          assert(~result.reason.toString().search(/Invalid message cursor/));
+        });
+        done();
+      })
+      .done();
+  });
+
+  it('should reject invalid page limits', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+    var message = helper.dal.message;
+
+    message.page(mailbox, folder, {limit: 100000})
+      .then(function(page) {
+        // large limits are lowered to the maximum page size
+        assert(page.messages.length === 2);
+        assert(page.cursor === null);
+
+        return Q.allSettled([0, -1, 1.5, 'ten', null].map(function(limit) {
+          return message.page(mailbox, folder, {limit: limit});
+        }));
+      })
+      .then(function(results) {
+        results.forEach(function(result) {
+          assert(result.state === 'rejected');
+          assert(~result.reason.toString().search(/Invalid message page/));
+        });
+        done();
+      })
+      .done();
+  });
+
+  it('should support streaming messages', function(done) {
+    var recordings = [];
+    var stream = helper.dal.message.stream(
+      helper.mailbox, helper.folders['0'], {batchSize: 1});
+
+    stream.on('data', function(message) {
+      assert(message.getFolder() === helper.folders['0']);
+      assert(message.date.isValid());
+      recordings.push(message.recording);
+    });
+    stream.on('end', function() {
+      assert.deepEqual(recordings, ['mymessage', 'myothermessage']);
+      done();
+    });
+  });
+
+  it('should support streaming all messages', function(done) {
+    var messages = [];
+    var stream = helper.dal.message.streamAll({batchSize: 1});
+
+    stream.on('data', function(message) {
+      messages.push(message);
+    });
+    stream.on('end', function() {
+      assert(messages.length === 2);
+      assert(messages[0].getId() < messages[1].getId());
+      assert(messages[0].getMailbox().getId() === helper.mailbox.getId());
+      assert(typeof(messages[0].read) === 'boolean');
+      done();
+    });
+  });
+
   it('should support get', function(done) {
     var mailbox = helper.mailbox;
     var folder = helper.folders['0'];
@@ -215,7 +509,7 @@ describe('message', function () {
         assert(message.recording === 'mymessage');
         assert(message.read === false);
         assert(message.callerId === 'John Smith');
-        assert(message.duration === '50');
+        assert(message.duration === 50);
         done();
       })
       .done();
@@ -228,7 +522,7 @@ describe('message', function () {
     var instance = helper.dal.message.create(mailbox, folder, {
       recording: 'awesome-message.wav',
       callerId: 'John Smith',
-      duration: '10' 
+      duration: 10 
     });
     instance.init();
 
@@ -254,7 +548,7 @@ describe('message', function () {
         assert(!message.read);
         assert(message.recording === 'awesome-message.wav');
         assert(message.callerId === 'John Smith');
-        assert(message.duration === '10');
+        assert(message.duration === 10);
         done();
       })
       .done();
@@ -267,7 +561,7 @@ describe('message', function () {
     var instance = helper.dal.message.create(mailbox, folder, {
       recording: 'awesome-message.wav',
       callerId: 'John Smith',
-      duration: '10' 
+      duration: 10 
     });
     instance.init();
 
@@ -284,7 +578,129 @@ describe('message', function () {
         assert(!message.read);
         assert(message.recording === 'awesome-message.wav');
         assert(message.callerId === 'John Smith');
-        assert(message.duration === '10');
+        assert(message.duration === 10);
+        done();
+      })
+      .done();
+  });
+
+  it('should return the saved instance with its id', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    var instance = helper.dal.message.create(mailbox, folder, {
+      recording: 'awesome-message.wav',
+      callerId: 'John Smith',
+      duration: 10
+    });
+    instance.init();
+
+    helper.dal.message.save(instance)
+      .then(function(saved) {
+        assert(saved.getId());
+        assert(saved.read === false);
+        assert(saved.date.isSame(instance.date));
+        // the given instance is left untouched
+        assert(instance.getId() === undefined);
+        assert(instance.read === false);
+
+        return helper.dal.message.get(saved);
+      })
+      .then(function(message) {
+        assert(message.recording === 'awesome-message.wav');
+        done();
+      })
+      .done();
+  });
+
+  it('should reject new messages exceeding the mailbox quota', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+    var instance = helper.dal.message.create(mailbox, folder, {
+      recording: 'quota-message.wav',
+      callerId: 'John Smith',
+      duration: 40
+    });
+    instance.init();
+
+    var maxmsg = helper.dal.mailboxConfig.create(mailbox, {
+      key: 'maxmsg',
+      value: '2'
+    });
+
+    helper.dal.mailboxConfig.save(maxmsg)
+      .then(function(saved) {
+        maxmsg = saved;
+
+        return helper.dal.message.save(instance);
+      })
+      .catch(function(err) {
+        assert(err instanceof errors.QuotaExceededError);
+        assert(err.key === 'maxmsg');
+        assert(err.limit === 2);
+
+        maxmsg.value = '3';
+
+        return helper.dal.mailboxConfig.save(maxmsg);
+      })
+      .then(function() {
+        var maxsecs = helper.dal.contextConfig.create(helper.context, {
+          key: 'maxsecs',
+          value: '30'
+        });
+
+        return helper.dal.contextConfig.save(maxsecs);
+      })
+      .then(function() {
+        return helper.dal.message.save(instance);
+      })
+      .catch(function(err) {
+        assert(err instanceof errors.QuotaExceededError);
+        assert(err.key === 'maxsecs');
+
+        instance.duration = 30;
+
+        return helper.dal.message.save(instance);
+      })
+      .then(function(saved) {
+        assert(saved.getId());
+
+        return helper.dal.message.countByMailbox(mailbox);
+      })
+      .then(function(count) {
+        assert(count === 3);
+        done();
+      })
+      .done();
+  });
+
+  it('should apply the maxmsg quota to each folder', function(done) {
+    var mailbox = helper.mailbox;
+    var instance = helper.dal.message.create(mailbox, helper.folders['1'], {
+      recording: 'quota-folder.wav',
+      callerId: 'John Smith',
+      duration: 10
+    });
+    instance.init();
+
+    // the inbox already holds two messages
+    var maxmsg = helper.dal.mailboxConfig.create(mailbox, {
+      key: 'maxmsg',
+      value: '2'
+    });
+
+    helper.dal.mailboxConfig.save(maxmsg)
+      .then(function() {
+        return helper.dal.message.save(instance);
+      })
+      .then(function(saved) {
+        assert(saved.getId());
+
+        return helper.dal.mailbox.usage(mailbox, helper.folders['1']);
+      })
+      .then(function(usage) {
+        assert(usage.count === 1);
+        assert(usage.duration === 10);
         done();
       })
       .done();
@@ -311,6 +727,58 @@ describe('message', function () {
       .done();
   });
 
+  it('should support forwarding to another mailbox', function(done) {
+    var counts;
+    var message;
+    var target;
+
+    helper.dal.message.all(helper.mailbox, helper.folders['0'])
+      .then(function(messages) {
+        message = messages[0];
+
+        return helper.dal.mailbox.get('1111', helper.context);
+      })
+      .then(function(mailbox) {
+        target = mailbox;
+
+        var folder = helper.folders['0'];
+
+        return helper.dal.message.forward(message, target, folder, {
+          recording: 'forwarded.wav',
+          mwi: function(read, unread) {
+            counts = {read: read, unread: unread};
+            /*jshint newcap:false*/
+            return Q();
+          }
+        });
+      })
+      .then(function(forwarded) {
+        assert(forwarded.getId() !== message.getId());
+        assert(forwarded.getMailbox() === target);
+        assert(forwarded.originalMailbox === helper.mailbox.mailboxNumber);
+        assert(forwarded.read === false);
+        assert(counts.unread === 1);
+
+        return helper.dal.message.get(forwarded);
+      })
+      .then(function(forwarded) {
+        assert(forwarded.recording === 'forwarded.wav');
+        assert(forwarded.callerId === message.callerId);
+
+        return helper.dal.message.countByMailbox(target);
+      })
+      .then(function(count) {
+        assert(count === 1);
+
+        return helper.dal.mailbox.get('1111', helper.context);
+      })
+      .then(function(mailbox) {
+        assert(mailbox.unread === 1);
+        done();
+      })
+      .done();
+  });
+
   it('should support remove', function(done) {
     var mailbox = helper.mailbox;
     var folder = helper.folders['0'];
@@ -318,7 +786,7 @@ describe('message', function () {
     var instance = helper.dal.message.create(mailbox, folder, {
       recording: 'awesome-message.wav',
       callerId: 'John Smith',
-      duration: '10' 
+      duration: 10 
     });
     instance.init();
     var messageId;
@@ -381,6 +849,291 @@ describe('message', function () {
       .done();
   });
 
+  it('should support removing many messages', function(done) {
+    var mailbox = helper.mailbox;
+
+    helper.dal.message.all(mailbox, helper.folders['0'])
+      .then(function(messages) {
+        return helper.dal.message.removeMany(messages.map(function(message) {
+          return message.getId();
+        }));
+      })
+      .then(function(result) {
+        assert(result.messages.length === 2);
+        assert(result.read === -1);
+        assert(result.unread === -1);
+
+        return helper.dal.message.countByMailbox(mailbox);
+      })
+      .then(function(count) {
+        assert(count === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support moving many messages', function(done) {
+    var mailbox = helper.mailbox;
+    var old = helper.folders['1'];
+
+    helper.dal.message.all(mailbox, helper.folders['0'])
+      .then(function(messages) {
+        return helper.dal.message.moveMany(messages.map(function(message) {
+          return message.getId();
+        }), old);
+      })
+      .then(function(result) {
+        assert(result.messages.length === 2);
+        assert(result.messages[0].getFolder() === old);
+        assert(result.read === 0);
+        assert(result.unread === 0);
+
+        return helper.dal.message.countByFolder(old);
+      })
+      .then(function(count) {
+        assert(count === 2);
+        done();
+      })
+      .done();
+  });
+
+  it('should support marking many messages as read', function(done) {
+    var mailbox = helper.mailbox;
+    var ids;
+
+    helper.dal.message.all(mailbox, helper.folders['0'])
+      .then(function(messages) {
+        ids = messages.map(function(message) {
+          return message.getId();
+        });
+
+        return helper.dal.message.markManyAsRead(ids);
+      })
+      .then(function(result) {
+        assert(result.messages.length === 1);
+        assert(result.messages[0].read === true);
+        assert(result.read === 1);
+        assert(result.unread === -1);
+
+        return helper.dal.message.find(mailbox, {read: false});
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+
+        return helper.dal.message.markManyAsRead([]);
+      })
+      .then(function(result) {
+        assert(result.messages.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support purging expired messages', function(done) {
+    var policies = helper.dal.retentionPolicy;
+    var context = helper.context;
+    var inbox = helper.folders['0'];
+    var now = moment.utc('2014-01-10T00:00:00Z');
+
+    policies.save(policies.create(context, null, {days: 5}))
+      .then(function() {
+        // folder policies take precedence over context policies
+        return policies.save(policies.create(null, inbox, {days: 365}));
+      })
+      .then(function() {
+        return helper.dal.message.purgeExpired(now, {batchSize: 1});
+      })
+      .then(function(removed) {
+        assert(removed.length === 0);
+
+        return policies.save(policies.create(context, inbox, {days: 8}));
+      })
+      .then(function() {
+        return helper.dal.message.purgeExpired(now, {batchSize: 1});
+      })
+      .then(function(removed) {
+        assert(removed.length === 1);
+        assert(removed[0].recording === 'mymessage');
+        assert(removed[0].getMailbox().getId() === helper.mailbox.getId());
+
+        return helper.dal.message.countByMailbox(helper.mailbox);
+      })
+      .then(function(count) {
+        assert(count === 1);
+
+        return helper.dal.mailbox.get('1234', context);
+      })
+      .then(function(mailbox) {
+        assert(mailbox.read === 1);
+        assert(mailbox.unread === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support duration aggregates', function(done) {
+    var mailbox = helper.mailbox;
+
+    helper.dal.message.durationByMailbox(mailbox)
+      .then(function(stats) {
+        assert(stats.count === 2);
+        assert(stats.total === 110);
+        assert(stats.average === 55);
+
+        return helper.dal.message.durationByFolder(
+          mailbox, helper.folders['1']);
+      })
+      .then(function(stats) {
+        assert(stats.count === 0);
+        assert(stats.total === 0);
+        assert(stats.average === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should parse legacy durations', function(done) {
+    var mailbox = helper.mailbox;
+    var folder = helper.folders['0'];
+
+    var instance = helper.dal.message.create(mailbox, folder, {
+      recording: 'legacy-message.wav',
+      duration: '1:30'
+    });
+    instance.init();
+
+    helper.dal.message.save(instance)
+      .then(function(saved) {
+        return helper.dal.message.get(saved);
+      })
+      .then(function(message) {
+        assert(message.duration === 90);
+        done();
+      })
+      .done();
+  });
+
+  it('should convert legacy durations when migrating', function(done) {
+    var dal = helper.dal;
+    var provider = providers.load(config, {
+      logger: {
+        trace: function() {},
+        debug: function() {}
+      }
+    });
+    var messages = new sql.Sql(provider.getDialect()).define({
+      name: 'vm_message',
+      columns: ['id', 'duration']
+    });
+
+    // durations are text before version 6
+    dal.migrate(5)
+      .then(function() {
+        return provider.runQuery(
+          messages.update({duration: '0:01:05'}).toQuery());
+      })
+      .then(function() {
+        return dal.migrate();
+      })
+      .then(function() {
+        return dal.message.durationByMailbox(helper.mailbox);
+      })
+      .then(function(stats) {
+        assert(stats.count === 2);
+        assert(stats.total === 130);
+        done();
+      })
+      .done();
+  });
+
+  it('should parse caller ids', function(done) {
+    var instance = helper.dal.message.create(
+      helper.mailbox, helper.folders['0'], {
+        callerId: '"Alice Smith" <256-555-1234>'
+      });
+
+    assert(instance.callerName === 'Alice Smith');
+    assert(instance.callerNumber === '2565551234');
+
+    helper.dal.message.all(helper.mailbox, helper.folders['0'])
+      .then(function(messages) {
+        assert(messages[0].callerName === 'John Smith');
+        assert(messages[0].callerNumber === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should support finding messages by caller', function(done) {
+    var mailbox = helper.mailbox;
+
+    var instance = helper.dal.message.create(mailbox, helper.folders['0'], {
+      recording: 'caller-message.wav',
+      callerId: '"Alice Smith" <256-555-1234>',
+      duration: 10
+    });
+    instance.init();
+
+    helper.dal.message.save(instance)
+      .then(function() {
+        return helper.dal.message.findByCaller(
+          '(256) 555-1234', helper.context);
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'caller-message.wav');
+        assert(messages[0].getMailbox().getId() === mailbox.getId());
+        assert(messages[0].getFolder().getId() ===
+               helper.folders['0'].getId());
+
+        return helper.dal.message.findByCaller('1111', helper.context);
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support backfilling callers', function(done) {
+    var provider = providers.load(config, {
+      logger: {
+        trace: function() {},
+        debug: function() {}
+      }
+    });
+    var messages = new sql.Sql(provider.getDialect()).define({
+      name: 'vm_message',
+      columns: ['id', 'caller_id', 'caller_name', 'caller_number']
+    });
+
+    // messages saved before caller ids were parsed
+    provider.runQuery(messages.update({
+      'caller_id': '"Bob" <5678>',
+      'caller_name': null,
+      'caller_number': null
+    }).toQuery())
+      .then(function() {
+        return helper.dal.message.backfillCallers({batchSize: 1});
+      })
+      .then(function(count) {
+        assert(count === 2);
+
+        return helper.dal.message.findByCaller('5678', helper.context);
+      })
+      .then(function(found) {
+        assert(found.length === 2);
+        assert(found[0].callerName === 'Bob');
+
+        return helper.dal.message.backfillCallers();
+      })
+      .then(function(count) {
+        assert(count === 0);
+        done();
+      })
+      .done();
+  });
+
   it('should support creating indexes', function(done) {
     helper.dal.message.createIndexes()
       .then(function() {
@@ -0,0 +1,215 @@
+/**
+ *  Message metadata specific unit tests.
+ *
+ *  @module tests-message-metadata
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var common = require('./helpers/common.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('message metadata', function () {
+  var config = common.getConfig();
+  var helper;
+  var message;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+
+        return helper.dal.message.all(helper.mailbox, helper.folders['0']);
+      })
+      .then(function(messages) {
+        message = messages[0];
+        done();
+      })
+      .done();
+  });
+
+  it('should support create', function(done) {
+    var instance = helper.dal.messageMetadata.create(message, {
+      transcription: 'call me back',
+      language: 'en-US'
+    });
+
+    assert(instance.getMessage() === message);
+    assert(instance.getId() === undefined);
+    assert(instance.transcription === 'call me back');
+    assert(instance.language === 'en-US');
+    done();
+  });
+
+  it('should support attaching metadata', function(done) {
+    var metadata = helper.dal.messageMetadata;
+
+    metadata.attach(message, {
+      transcription: 'call me back',
+      confidence: 0.5,
+      language: 'en-US',
+      properties: {engine: 'local', job: '1'}
+    })
+      .then(function(attached) {
+        assert(attached.getId());
+
+        return metadata.attach(message, {
+          confidence: 0.75,
+          properties: {job: '2'}
+        });
+      })
+      .then(function() {
+        return metadata.get(message);
+      })
+      .then(function(instance) {
+        assert(instance.getMessage() === message);
+        assert(instance.transcription === 'call me back');
+        assert(instance.confidence === 0.75);
+        assert(instance.language === 'en-US');
+        assert.deepEqual(instance.properties, {engine: 'local', job: '2'});
+        done();
+      })
+      .done();
+  });
+
+  it('should save falsy values', function(done) {
+    var metadata = helper.dal.messageMetadata;
+
+    metadata.attach(message, {
+      transcription: 'call me back',
+      confidence: 0.75,
+      language: 'en-US'
+    })
+      .then(function() {
+        return metadata.attach(message, {
+          transcription: '',
+          confidence: 0,
+          language: null
+        });
+      })
+      .then(function() {
+        return metadata.get(message);
+      })
+      .then(function(instance) {
+        assert(instance.transcription === '');
+        assert(instance.confidence === 0);
+        assert(instance.language === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should support get without metadata', function(done) {
+    helper.dal.messageMetadata.get(message)
+      .then(function(instance) {
+        assert(instance === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should be included when getting a message', function(done) {
+    helper.dal.messageMetadata.attach(message, {
+      transcription: 'call me back'
+    })
+      .then(function() {
+        return helper.dal.message.get(message);
+      })
+      .then(function(instance) {
+        assert(instance.metadata.transcription === 'call me back');
+        done();
+      })
+      .done();
+  });
+
+  it('should support searching transcripts', function(done) {
+    var mailbox = helper.mailbox;
+
+    helper.dal.messageMetadata.attach(message, {
+      transcription: 'please call me back about the invoice'
+    })
+      .then(function() {
+        return helper.dal.message.find(mailbox, {transcript: 'invoice'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].getId() === message.getId());
+
+        return helper.dal.message.find(mailbox, {transcript: 'meeting'});
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should be deleted along with its message', function(done) {
+    helper.dal.messageMetadata.attach(message, {
+      transcription: 'call me back'
+    })
+      .then(function() {
+        return helper.dal.message.remove(message);
+      })
+      .then(function() {
+        return helper.dal.messageMetadata.get(message);
+      })
+      .then(function(instance) {
+        assert(instance === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should support remove', function(done) {
+    var metadata = helper.dal.messageMetadata;
+
+    metadata.attach(message, {transcription: 'call me back'})
+      .then(function(attached) {
+        return metadata.remove(attached);
+      })
+      .then(function() {
+        return metadata.get(message);
+      })
+      .then(function(instance) {
+        assert(instance === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should be added to schemas created before migrations', function(done) {
+    var dal = helper.dal;
+
+    dal.migrate(0)
+      .then(function() {
+        return dal.messageMetadata.get(message);
+      })
+      .catch(function(err) {
+        // the table does not exist before migrating
+        assert(err);
+
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+
+        return dal.messageMetadata.attach(message, {
+          transcription: 'call me back'
+        });
+      })
+      .then(function(attached) {
+        assert(attached.getId());
+        done();
+      })
+      .done();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ *  Message recording specific unit tests.
+ *
+ *  @module tests-message-recording
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var Q = require('q');
+var common = require('./helpers/common.js');
+
+describe('message recording', function () {
+  var config = common.getConfig();
+  var helper;
+  var message;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+
+        return helper.dal.message.all(helper.mailbox, helper.folders['0']);
+      })
+      .then(function(messages) {
+        message = messages[0];
+
+        return addFormats(message);
+      })
+      .then(function() {
+        done();
+      })
+      .done();
+  });
+
+  function addFormats(instance) {
+    var recordings = helper.dal.messageRecording;
+
+    return recordings.add(instance, {
+      format: 'WAV',
+      uri: 'file:///var/spool/voicemail/msg0000.wav',
+      size: 80000,
+      checksum: 'abc'
+    })
+      .then(function() {
+        return recordings.add(instance, {
+          format: 'gsm',
+          uri: 'file:///var/spool/voicemail/msg0000.gsm',
+          size: 8000
+        });
+      });
+  }
+
+  it('should support create', function(done) {
+    var instance = helper.dal.messageRecording.create(message, {
+      format: 'Opus',
+      uri: 'msg0000.opus'
+    });
+
+    assert(instance.getMessage() === message);
+    assert(instance.getId() === undefined);
+    assert(instance.format === 'opus');
+    assert(instance.uri === 'msg0000.opus');
+    done();
+  });
+
+  it('should support listing formats', function(done) {
+    helper.dal.messageRecording.all(message)
+      .then(function(recordings) {
+        assert(recordings.length === 2);
+        assert(recordings[0].getId());
+        assert(recordings[0].getMessage() === message);
+        assert(recordings[0].format === 'gsm');
+        assert(recordings[0].size === 8000);
+        assert(recordings[1].format === 'wav');
+        assert(recordings[1].checksum === 'abc');
+        done();
+      })
+      .done();
+  });
+
+  it('should replace an existing format when adding', function(done) {
+    var recordings = helper.dal.messageRecording;
+
+    recordings.add(message, {format: 'gsm', uri: 'msg0000-new.gsm'})
+      .then(function() {
+        return recordings.all(message);
+      })
+      .then(function(results) {
+        assert(results.length === 2);
+        assert(results[0].uri === 'msg0000-new.gsm');
+        done();
+      })
+      .done();
+  });
+
+  it('should add a format only once when adding concurrently', function(done) {
+    var recordings = helper.dal.messageRecording;
+
+    Q.all([
+      recordings.add(message, {format: 'g722', uri: 'msg0000-first.g722'}),
+      recordings.add(message, {format: 'g722', uri: 'msg0000-second.g722'})
+    ])
+      .then(function() {
+        return recordings.all(message);
+      })
+      .then(function(results) {
+        var formats = results.map(function(recording) {
+          return recording.format;
+        });
+
+        assert.deepEqual(formats, ['g722', 'gsm', 'wav']);
+        assert(results[0].uri === 'msg0000-second.g722');
+        done();
+      })
+      .done();
+  });
+
+  it('should require a format and uri', function(done) {
+    helper.dal.messageRecording.add(message, {format: 'wav'})
+      .catch(function(err) {
+        assert(~err.toString().search(/requires a format and uri/));
+        done();
+      })
+      .done();
+  });
+
+  it('should pick the best format', function(done) {
+    var recordings = helper.dal.messageRecording;
+
+    recordings.best(message, ['opus', 'GSM', 'wav'])
+      .then(function(recording) {
+        assert(recording.format === 'gsm');
+
+        return recordings.best(message, ['opus']);
+      })
+      .then(function(recording) {
+        assert(recording === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should support remove', function(done) {
+    var recordings = helper.dal.messageRecording;
+
+    recordings.all(message)
+      .then(function(results) {
+        return recordings.remove(results[0]);
+      })
+      .then(function() {
+        return recordings.all(message);
+      })
+      .then(function(results) {
+        assert(results.length === 1);
+        assert(results[0].format === 'wav');
+        done();
+      })
+      .done();
+  });
+
+  it('should be deleted along with its message', function(done) {
+    helper.dal.message.remove(message)
+      .then(function() {
+        return helper.dal.messageRecording.all(message);
+      })
+      .then(function(recordings) {
+        assert(recordings.length === 0);
+        done();
+      })
+      .done();
+  });
+});
@@ -0,0 +1,502 @@
+/**
+ *  Schema migration unit tests.
+ *
+ *  @module tests-migrator
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var sql = require('sql');
+var moment = require('moment');
+var Q = require('q');
+var common = require('./helpers/common.js');
+var providers = require('../lib/helpers/provider.js');
+var migrator = require('../lib/helpers/migrator.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('migrator', function () {
+  var config = common.getConfig();
+  var dependencies = {
+    logger: {
+      trace: function() {},
+      debug: function() {},
+      info: function() {}
+    }
+  };
+  var helper;
+  var provider;
+  var steps;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+        provider = providers.load(config, dependencies);
+        steps = [
+          tableStep(1, 'vm_migration_first'),
+          tableStep(2, 'vm_migration_second')
+        ];
+
+        // start from a database that was never migrated
+        return migrator(provider, steps, dependencies).dropTable();
+      })
+      .then(function() {
+        done();
+      })
+      .done();
+  });
+
+  /**
+   * Returns a migration step creating a table with the given name.
+   */
+  function tableStep(version, name) {
+    return {
+      version: version,
+      description: 'Create ' + name,
+      up: function(stepProvider, sqlGenerator) {
+        var table = define(sqlGenerator, name);
+        var query = table.create().toQuery();
+        query.text = stepProvider.autoIncrement(query.text);
+
+        return [query];
+      },
+      down: function(stepProvider, sqlGenerator) {
+        return [define(sqlGenerator, name).drop().toQuery()];
+      }
+    };
+  }
+
+  /**
+   * Returns a node-sql definition for a test table.
+   */
+  function define(sqlGenerator, name) {
+    return sqlGenerator.define({
+      name: name,
+      columns: [{
+        name: 'id',
+        dataType: 'integer',
+        notNull: true,
+        primaryKey: true
+      }, {
+        name: 'label',
+        dataType: 'varchar(100)'
+      }]
+    });
+  }
+
+  /**
+   * Returns a promise that resolves to whether the given table exists.
+   */
+  function tableExists(name) {
+    return provider.runQuery({
+      text: 'SELECT count(*) FROM ' + name,
+      values: []
+    })
+      .then(function() {
+        return true;
+      })
+      .catch(function() {
+        return false;
+      });
+  }
+
+  it('should start at version 0', function(done) {
+    helper.dal.schemaVersion()
+      .then(function(version) {
+        assert(version === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support migrating to the latest version', function(done) {
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate()
+      .then(function(version) {
+        assert(version === 2);
+
+        return schema.schemaVersion();
+      })
+      .then(function(version) {
+        assert(version === 2);
+
+        return tableExists('vm_migration_second');
+      })
+      .then(function(exists) {
+        assert(exists);
+        done();
+      })
+      .done();
+  });
+
+  it('should support migrating to a given version', function(done) {
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate(1)
+      .then(function() {
+        return schema.schemaVersion();
+      })
+      .then(function(version) {
+        assert(version === 1);
+
+        return tableExists('vm_migration_second');
+      })
+      .then(function(exists) {
+        assert(!exists);
+
+        // already at version 1
+        return schema.migrate(1);
+      })
+      .then(function(version) {
+        assert(version === 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should support rolling back', function(done) {
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate()
+      .then(function() {
+        return schema.migrate(0);
+      })
+      .then(function() {
+        return schema.schemaVersion();
+      })
+      .then(function(version) {
+        assert(version === 0);
+
+        return tableExists('vm_migration_first');
+      })
+      .then(function(exists) {
+        assert(!exists);
+        done();
+      })
+      .done();
+  });
+
+  it('should not record failed migrations', function(done) {
+    steps.push({
+      version: 3,
+      description: 'Broken migration',
+      up: function() {
+        return [{text: 'CREATE TABLE', values: []}];
+      },
+      down: function() {
+        return [];
+      }
+    });
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate()
+      .catch(function(err) {
+        assert(err);
+
+        return schema.schemaVersion();
+      })
+      .then(function(version) {
+        assert(version === 2);
+        done();
+      })
+      .done();
+  });
+
+  it('should support functions converting data', function(done) {
+    var calls = [];
+
+    steps.push({
+      version: 3,
+      description: 'Convert data',
+      up: function() {
+        return [function(transaction) {
+          calls.push(transaction);
+
+          return transaction.runQuery({
+            text: 'SELECT count(*) FROM vm_migration_first',
+            values: []
+          });
+        }];
+      },
+      down: function() {
+        return [];
+      }
+    });
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate()
+      .then(function(version) {
+        assert(version === 3);
+        assert(calls.length === 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should reject unknown versions', function(done) {
+    var schema = migrator(provider, steps, dependencies);
+
+    schema.migrate(5)
+      .catch(function(err) {
+        assert(~err.toString().search(/Unknown schema version 5/));
+        done();
+      })
+      .done();
+  });
+
+  it('should require consecutive versions', function(done) {
+    assert.throws(function() {
+      migrator(provider, [tableStep(2, 'vm_migration_first')], dependencies);
+    }, /expected 1/);
+    done();
+  });
+});
+
+describe('migrations', function () {
+  var config = common.getConfig();
+  var dal;
+  var provider;
+  var tables;
+
+  beforeEach(function (done) {
+    common.resetDb(config)
+      .then(function() {
+        dal = common.getDal(config);
+        provider = providers.load(config, {logger: common.getLogger()});
+        tables = baselineTables(new sql.Sql(provider.getDialect()));
+
+        /*jshint newcap:false*/
+        return ['context', 'mailbox', 'folder', 'message'].reduce(
+          function(series, name) {
+            return series.then(function() {
+              var query = tables[name].create().toQuery();
+              query.text = provider.autoIncrement(query.text);
+
+              return provider.runQuery(query);
+            });
+          }, Q());
+      })
+      .then(function() {
+        var index = tables.message.indexes()
+          .create('vm_message_mailbox_id_folder_id_date')
+          .unique()
+          .on(tables.message['mailbox_id'], tables.message['folder_id'],
+              tables.message.date)
+          .toQuery();
+
+        return provider.runQuery(index);
+      })
+      .then(function() {
+        done();
+      })
+      .done();
+  });
+
+  /**
+   * Returns the tables as they were created before migrations were
+   * introduced (schema version 0).
+   */
+  function baselineTables(sqlGenerator) {
+    return {
+      context: sqlGenerator.define({
+        name: 'vm_context',
+        columns: [
+          {name: 'id', dataType: 'integer', notNull: true, primaryKey: true},
+          {name: 'domain', dataType: 'varchar(254)', notNull: true}
+        ]
+      }),
+      mailbox: sqlGenerator.define({
+        name: 'vm_mailbox',
+        columns: [
+          {name: 'id', dataType: 'integer', notNull: true, primaryKey: true},
+          {name: 'mailbox_number', dataType: 'integer', notNull: true},
+          {name: 'mailbox_name', dataType: 'varchar(255)'},
+          {name: 'context_id', dataType: 'integer', notNull: true,
+           references: {table: 'vm_context', column: 'id'}},
+          {name: 'password', dataType: 'varchar(100)', notNull: true},
+          {name: 'name', dataType: 'varchar(100)', notNull: true},
+          {name: 'email', dataType: 'varchar(256)', notNull: true},
+          {name: 'read', dataType: 'integer'},
+          {name: 'unread', dataType: 'integer'},
+          {name: 'greeting_away', dataType: 'varchar(100)'},
+          {name: 'greeting_busy', dataType: 'varchar(100)'},
+          {name: 'greeting_name', dataType: 'varchar(100)'}
+        ]
+      }),
+      folder: sqlGenerator.define({
+        name: 'vm_folder',
+        columns: [
+          {name: 'id', dataType: 'integer', notNull: true, primaryKey: true},
+          {name: 'name', dataType: 'varchar(25)', notNull: true},
+          {name: 'recording', dataType: 'varchar(100)', notNull: true},
+          {name: 'dtmf', dataType: 'integer', notNull: true}
+        ]
+      }),
+      message: sqlGenerator.define({
+        name: 'vm_message',
+        columns: [
+          {name: 'id', dataType: 'integer', notNull: true, primaryKey: true},
+          {name: 'mailbox_id', dataType: 'integer', notNull: true,
+           references: {table: 'vm_mailbox', column: 'id'}},
+          {name: 'recording', dataType: 'varchar(100)', notNull: true},
+          {name: 'read', dataType: 'char(1)', notNull: true},
+          {name: 'date', dataType: provider.getDateType(), notNull: true},
+          {name: 'original_mailbox', dataType: 'integer'},
+          {name: 'caller_id', dataType: 'varchar(100)'},
+          {name: 'duration', dataType: 'varchar(100)', notNull: true},
+          {name: 'folder_id', dataType: 'integer', notNull: true,
+           references: {table: 'vm_folder', column: 'id'}}
+        ]
+      })
+    };
+  }
+
+  /**
+   * Inserts a row into the given baseline table and returns a promise
+   * containing its id.
+   */
+  function insert(table, fields) {
+    var query = provider.forInsert(table.insert(fields).toQuery());
+
+    return provider.runQuery(query)
+      .then(function(result) {
+        return provider.getInsertId(result);
+      });
+  }
+
+  /**
+   * Returns a promise containing the raw message rows ordered by recording.
+   */
+  function messageRows() {
+    return provider.runQuery({
+      text: 'SELECT * FROM vm_message ORDER BY recording',
+      values: []
+    })
+      .then(function(result) {
+        return result.rows;
+      });
+  }
+
+  it('should roll back and reapply the caller columns', function(done) {
+    dal.migrate()
+      .then(function() {
+        // indexes on the caller columns have to be dropped with them
+        return dal.migrate(6);
+      })
+      .then(function(version) {
+        assert(version === 6);
+
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+        done();
+      })
+      .done();
+  });
+
+  it('should migrate a baseline schema and its data', function(done) {
+    var date = moment.utc();
+    var mailboxId;
+    var folderId;
+
+    insert(tables.context, {domain: 'digium.com'})
+      .then(function(contextId) {
+        return insert(tables.mailbox, {
+          'mailbox_number': 1234,
+          'context_id': contextId,
+          password: '1111',
+          name: 'Doe',
+          email: 'doe@digium.com',
+          read: 1,
+          unread: 2
+        });
+      })
+      .then(function(id) {
+        mailboxId = id;
+
+        return insert(tables.folder, {
+          name: 'INBOX',
+          recording: 'inbox',
+          dtmf: 0
+        });
+      })
+      .then(function(id) {
+        folderId = id;
+
+        /*jshint newcap:false*/
+        return [
+          {recording: 'a', read: 'N', duration: '1:30',
+           'caller_id': '"Jane Doe" <5551234>'},
+          {recording: 'b', read: 'N', duration: '45',
+           'caller_id': '5559876'},
+          {recording: 'c', read: 'Y', duration: '0:01:05'}
+        ].reduce(function(series, fields) {
+          return series.then(function() {
+            fields['mailbox_id'] = mailboxId;
+            fields['folder_id'] = folderId;
+            // the baseline index is unique by mailbox, folder and date
+            date.add(1, 'seconds');
+            fields.date = provider.convertDateForStorage(date);
+
+            return insert(tables.message, fields);
+          });
+        }, Q());
+      })
+      .then(function() {
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+
+        return messageRows();
+      })
+      .then(function(rows) {
+        assert.deepEqual(rows.map(function(row) {
+          return row.duration;
+        }), [90, 45, 65]);
+        rows.forEach(function(row) {
+          assert(row.urgent === 'N');
+          assert(row['deleted_at'] === null);
+        });
+
+        return dal.message.backfillCallers();
+      })
+      .then(function(count) {
+        assert(count === 2);
+
+        return messageRows();
+      })
+      .then(function(rows) {
+        assert(rows[0]['caller_name'] === 'Jane Doe');
+        assert(rows[0]['caller_number'] === '5551234');
+        assert(rows[1]['caller_name'] === null);
+        assert(rows[1]['caller_number'] === '5559876');
+
+        return dal.context.get('digium.com');
+      })
+      .then(function(context) {
+        return dal.mailbox.get('1234', context);
+      })
+      .then(function(mailbox) {
+        // repositories work against the migrated schema
+        assert(mailbox.unread === 2);
+
+        return dal.tag.all(mailbox);
+      })
+      .then(function(tags) {
+        assert(tags.length === 0);
+        done();
+      })
+      .done();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ *  Provider loading unit tests.
+ *
+ *  @module tests-provider
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var providers = require('../lib/helpers/provider.js');
+var memory = require('../lib/providers/memory.js');
+var data = require('../lib/db.js');
+
+describe('provider', function () {
+  var dependencies = {
+    logger: {
+      trace: function() {},
+      debug: function() {}
+    }
+  };
+
+  /**
+   * Returns dependencies for creating a data access layer.
+   */
+  function dalDependencies() {
+    var logger = {
+      trace: function() {},
+      debug: function() {},
+      info: function() {},
+      child: function() {
+        return logger;
+      }
+    };
+
+    return {
+      logger: logger
+    };
+  }
+
+  /**
+   * Returns a provider object implementing the whole contract.
+   */
+  function customProvider() {
+    return providers.contract.reduce(function(provider, method) {
+      provider[method] = function() {};
+
+      return provider;
+    }, {});
+  }
+
+  it('should support loading built-in providers by name', function(done) {
+    var provider = providers.load({
+      connectionString: 'provider-tests',
+      provider: 'memory'
+    }, dependencies);
+
+    assert(provider.getDialect() === 'sqlite');
+    assert(provider.overrides.message);
+    done();
+  });
+
+  it('should reject unknown provider names', function(done) {
+    assert.throws(function() {
+      providers.load({provider: 'oracle'}, dependencies);
+    }, /Unknown provider "oracle"/);
+    done();
+  });
+
+  it('should support provider objects', function(done) {
+    var custom = customProvider();
+    var provider = providers.load({provider: custom}, dependencies);
+
+    assert(provider === custom);
+    assert.deepEqual(provider.overrides.mailbox, {});
+    done();
+  });
+
+  it('should support provider factories', function(done) {
+    var custom = customProvider();
+    var config = {
+      connectionString: 'custom://localhost',
+      provider: function(factoryConfig, factoryDependencies) {
+        assert(factoryConfig === config);
+        assert(factoryDependencies === dependencies);
+
+        return custom;
+      }
+    };
+
+    assert(providers.load(config, dependencies) === custom);
+    done();
+  });
+
+  it('should not cache data access layers of provider objects',
+      function(done) {
+    var first = data({
+      provider: memory({connectionString: 'provider-first'}, dependencies)
+    }, dalDependencies());
+    var second = data({
+      provider: memory({connectionString: 'provider-second'}, dependencies)
+    }, dalDependencies());
+
+    assert(first !== second);
+    done();
+  });
+
+  it('should cache data access layers by provider and settings',
+      function(done) {
+    var config = {
+      connectionString: 'provider-cache',
+      provider: 'memory'
+    };
+    var dal = data(config, dalDependencies());
+
+    assert(data(config, dalDependencies()) === dal);
+    assert(data({
+      connectionString: 'provider-cache',
+      provider: 'memory',
+      softDelete: true
+    }, dalDependencies()) !== dal);
+    done();
+  });
+
+  it('should list missing methods', function(done) {
+    var custom = customProvider();
+    delete custom.runQuery;
+    delete custom.getDialect;
+
+    assert.throws(function() {
+      providers.load({provider: custom}, dependencies);
+    }, /missing required methods: runQuery, getDialect/);
+    done();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ *  Provider contract unit tests. These run against the provider selected by
+ *  VM_DATA_TEST_PROVIDER so server based providers such as mysql are covered
+ *  when the suite is pointed at them.
+ *
+ *  @module tests-provider-contract
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var sql = require('sql');
+var moment = require('moment');
+var common = require('./helpers/common.js');
+var providers = require('../lib/helpers/provider.js');
+
+describe('provider contract', function () {
+  var config = common.getConfig();
+  var provider;
+  var table;
+
+  beforeEach(function (done) {
+    provider = providers.load(config, {logger: common.getLogger()});
+    var sqlGenerator = new sql.Sql(provider.getDialect());
+    table = sqlGenerator.define({
+      name: 'vm_provider_contract',
+      columns: [{
+        name: 'id',
+        dataType: 'integer',
+        notNull: true,
+        primaryKey: true
+      }, {
+        name: 'name',
+        dataType: 'varchar(50)'
+      }, {
+        name: 'date',
+        dataType: provider.getDateType()
+      }]
+    });
+
+    var create = table.create().toQuery();
+    create.text = provider.autoIncrement(create.text);
+
+    provider.runQuery(table.drop().ifExists().toQuery())
+      .then(function() {
+        return provider.runQuery(create);
+      })
+      .then(function() {
+        done();
+      })
+      .done();
+  });
+
+  /**
+   * Returns the names stored in the contract table ordered by id.
+   */
+  function names() {
+    var query = table
+      .select(table.name)
+      .from(table)
+      .order(table.id)
+      .toQuery();
+
+    return provider.runQuery(query)
+      .then(function(result) {
+        return result.rows.map(function(row) {
+          return row.name;
+        });
+      });
+  }
+
+  it('should return inserted ids and rows', function(done) {
+    var date = moment.utc('2014-06-01T10:20:30Z');
+    var insert = provider.forInsert(table.insert({
+      name: 'first',
+      date: provider.convertDateForStorage(date)
+    }).toQuery());
+
+    provider.runQuery(insert)
+      .then(function(result) {
+        var id = provider.getInsertId(result);
+        assert(id);
+
+        var query = table
+          .select(table.star())
+          .from(table)
+          .where(table.id.equals(id))
+          .toQuery();
+
+        return provider.runQuery(query);
+      })
+      .then(function(result) {
+        var row = result.rows[0];
+
+        assert(row.name === 'first');
+        assert(provider.convertDateFromStorage(row.date).isSame(date));
+        done();
+      })
+      .done();
+  });
+
+  it('should commit and roll back transactions', function(done) {
+    var first = table.insert({name: 'committed'}).toQuery();
+    var second = table.insert({name: 'rolled back'}).toQuery();
+
+    provider.beginTransaction(true)
+      .then(function(transaction) {
+        return transaction.runQuery(first)
+          .then(function() {
+            return transaction.commit();
+          });
+      })
+      .then(function() {
+        return provider.beginTransaction(true);
+      })
+      .then(function(transaction) {
+        var query = provider.forUpdate(
+          table.select(table.star()).from(table).toQuery());
+
+        return transaction.runQuery(query)
+          .then(function() {
+            return transaction.runQuery(second);
+          })
+          .then(function() {
+            return transaction.rollback();
+          });
+      })
+      .then(function() {
+        return names();
+      })
+      .then(function(result) {
+        assert.deepEqual(result, ['committed']);
+        done();
+      })
+      .done();
+  });
+
+  it('should reject failed queries with their error', function(done) {
+    provider.runQuery({text: 'SELECT * FROM vm_missing_table', values: []})
+      .catch(function(err) {
+        assert(~err.toString().search(/vm_missing_table/));
+
+        return names();
+      })
+      .then(function(result) {
+        // the connection is still usable after rolling back
+        assert.deepEqual(result, []);
+        done();
+      })
+      .done();
+  });
+});
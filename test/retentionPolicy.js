@@ -0,0 +1,160 @@
+/**
+ *  Retention policy specific unit tests.
+ *
+ *  @module tests-retention-policy
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var common = require('./helpers/common.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('retention policy', function () {
+  var config = common.getConfig();
+  var helper;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+        done();
+      })
+      .done();
+  });
+
+  it('should support create', function(done) {
+    var context = helper.context;
+
+    var instance = helper.dal.retentionPolicy.create(context, null, {
+      days: 30
+    });
+
+    assert(instance.getContext().domain === context.domain);
+    assert(instance.getFolder() === null);
+    assert(instance.getId() === undefined);
+    assert(instance.days === 30);
+    done();
+  });
+
+  it('should support save', function(done) {
+    var folder = helper.folders['1'];
+
+    var instance = helper.dal.retentionPolicy.create(null, folder, {
+      days: 90
+    });
+
+    helper.dal.retentionPolicy.save(instance)
+      .then(function(saved) {
+        assert(saved.getId());
+
+        return helper.dal.retentionPolicy.all();
+      })
+      .then(function(policies) {
+        assert(policies.length === 1);
+        assert(policies[0].getContext() === null);
+        assert(policies[0].getFolder().getId() === folder.getId());
+        assert(policies[0].days === 90);
+        done();
+      })
+      .done();
+  });
+
+  it('should require a context or a folder', function(done) {
+    var instance = helper.dal.retentionPolicy.create(null, null, {
+      days: 90
+    });
+
+    helper.dal.retentionPolicy.save(instance)
+      .catch(function(err) {
+        assert(~err.toString().search(/requires a context or a folder/));
+        done();
+      })
+      .done();
+  });
+
+  it('should reject duplicate policies', function(done) {
+    var policies = helper.dal.retentionPolicy;
+    var folder = helper.folders['1'];
+
+    policies.save(policies.create(null, folder, {days: 90}))
+      .then(function(saved) {
+        // updating the policy is not a duplicate
+        saved.days = 60;
+
+        return policies.save(saved);
+      })
+      .then(function() {
+        return policies.save(policies.create(null, folder, {days: 30}));
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/already applies/));
+
+        // a policy for a context and the same folder is not a duplicate
+        return policies.save(
+          policies.create(helper.context, folder, {days: 30}));
+      })
+      .then(function() {
+        return policies.all();
+      })
+      .then(function(result) {
+        assert(result.length === 2);
+        assert(result.some(function(policy) {
+          return policy.days === 60;
+        }));
+        done();
+      })
+      .done();
+  });
+
+  it('should support remove', function(done) {
+    var instance = helper.dal.retentionPolicy.create(helper.context, null, {
+      days: 30
+    });
+
+    helper.dal.retentionPolicy.save(instance)
+      .then(function(saved) {
+        return helper.dal.retentionPolicy.remove(saved);
+      })
+      .then(function() {
+        return helper.dal.retentionPolicy.all();
+      })
+      .then(function(policies) {
+        assert(policies.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should be added to schemas created before migrations', function(done) {
+    var dal = helper.dal;
+
+    dal.migrate(0)
+      .then(function() {
+        return dal.retentionPolicy.all();
+      })
+      .catch(function(err) {
+        // the table does not exist before migrating
+        assert(err);
+
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+
+        return dal.retentionPolicy.all();
+      })
+      .then(function(policies) {
+        assert(policies.length === 0);
+        done();
+      })
+      .done();
+  });
+});
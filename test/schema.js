@@ -0,0 +1,155 @@
+/**
+ *  Schema creation unit tests.
+ *
+ *  @module tests-schema
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var Q = require('q');
+var common = require('./helpers/common.js');
+var providers = require('../lib/helpers/provider.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('schema', function () {
+  var config = common.getConfig();
+  var helper;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+        done();
+      })
+      .done();
+  });
+
+  it('should support dropping the schema', function(done) {
+    helper.dal.dropSchema()
+      .then(function() {
+        return helper.dal.context.all();
+      })
+      .catch(function(err) {
+        assert(err);
+        done();
+      })
+      .done();
+  });
+
+  it('should support creating the schema', function(done) {
+    var dal = helper.dal;
+    var domain = 'asterisk.org';
+
+    dal.dropSchema()
+      .then(function() {
+        return dal.createSchema();
+      })
+      .then(function() {
+        return dal.context.save(dal.context.create(domain));
+      })
+      .then(function() {
+        return dal.context.get(domain);
+      })
+      .then(function(context) {
+        var mailbox = dal.mailbox.create('1000', context, {
+          password: '1000',
+          name: 'Test Mailbox',
+          email: 'test@asterisk.org'
+        });
+
+        return dal.mailbox.save(mailbox)
+          .then(function() {
+            return dal.mailbox.countByContext(context);
+          });
+      })
+      .then(function(count) {
+        assert(count === 1);
+
+        return dal.schemaVersion();
+      })
+      .then(function(version) {
+        // new schemas are created at the latest version
+        assert(version === migrations.length);
+        done();
+      })
+      .done();
+  });
+
+  it('should support creating the schema more than once', function(done) {
+    var dal = helper.dal;
+
+    dal.dropSchema()
+      .then(function() {
+        return dal.createSchema();
+      })
+      .then(function() {
+        return dal.createSchema();
+      })
+      .then(function() {
+        return dal.context.all();
+      })
+      .then(function(contexts) {
+        assert(contexts.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should create missing tables of an existing schema', function(done) {
+    var dal = helper.dal;
+
+    dal.message.dropTable()
+      .then(function() {
+        return dal.createSchema();
+      })
+      .then(function() {
+        return dal.message.countByMailbox(helper.mailbox);
+      })
+      .then(function(count) {
+        assert(count === 0);
+
+        return dal.context.get('digium.com');
+      })
+      .then(function(context) {
+        assert(context);
+        done();
+      })
+      .done();
+  });
+
+  it('should not treat other errors as missing tables', function(done) {
+    var provider = Object.create(providers.load(config, {
+      logger: common.getLogger()
+    }));
+    var created = false;
+
+    provider.runQuery = function(query) {
+      if (/^CREATE/.test(query.text)) {
+        created = true;
+      }
+
+      return Q.reject(new Error('connection refused'));
+    };
+    var dal = require('../lib/db.js')({provider: provider}, {
+      logger: {
+        child: common.getLogger
+      }
+    });
+
+    dal.createSchema()
+      .catch(function(err) {
+        assert(~err.toString().search(/connection refused/));
+        assert(!created);
+        done();
+      })
+      .done();
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ *  Tag specific unit tests.
+ *
+ *  @module tests-tag
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var common = require('./helpers/common.js');
+var migrations = require('../lib/migrations/index.js');
+
+describe('tag', function () {
+  var config = common.getConfig();
+  var helper;
+  var messages;
+  var urgentTag;
+  var billingTag;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+
+        return helper.dal.message.all(helper.mailbox, helper.folders['0']);
+      })
+      .then(function(instances) {
+        messages = instances;
+
+        return helper.dal.tag.save(helper.dal.tag.create(
+          helper.context, null, {name: 'urgent'}));
+      })
+      .then(function(tag) {
+        urgentTag = tag;
+
+        return helper.dal.tag.save(helper.dal.tag.create(
+          null, helper.mailbox, {name: 'billing'}));
+      })
+      .then(function(tag) {
+        billingTag = tag;
+        done();
+      })
+      .done();
+  });
+
+  it('should support create', function(done) {
+    var instance = helper.dal.tag.create(null, helper.mailbox, {
+      name: 'follow up'
+    });
+
+    assert(instance.getContext() === null);
+    assert(instance.getMailbox() === helper.mailbox);
+    assert(instance.getId() === undefined);
+    assert(instance.name === 'follow up');
+    done();
+  });
+
+  it('should list context and mailbox tags', function(done) {
+    helper.dal.tag.all(helper.mailbox)
+      .then(function(tags) {
+        assert(tags.length === 2);
+        assert(tags[0].name === 'billing');
+        assert(tags[0].getMailbox() === helper.mailbox);
+        assert(tags[0].getContext() === null);
+        assert(tags[1].name === 'urgent');
+        assert(tags[1].getId() === urgentTag.getId());
+        assert(tags[1].getContext() === helper.context);
+        done();
+      })
+      .done();
+  });
+
+  it('should require a name and a scope', function(done) {
+    var tags = helper.dal.tag;
+
+    tags.save(tags.create(helper.context, null, {}))
+      .catch(function(err) {
+        assert(~err.toString().search(/requires a name/));
+
+        return tags.save(tags.create(null, null, {name: 'orphan'}));
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/requires a context or a mailbox/));
+        done();
+      })
+      .done();
+  });
+
+  it('should reject duplicate names in the same scope', function(done) {
+    var tags = helper.dal.tag;
+
+    tags.save(tags.create(helper.context, null, {name: 'urgent'}))
+      .catch(function(err) {
+        assert(~err.toString().search(/"urgent" already exists/));
+
+        // saving a tag again is not a duplicate
+        return tags.save(urgentTag);
+      })
+      .then(function() {
+        // the same name can be used by a mailbox of the context
+        return tags.save(tags.create(null, helper.mailbox, {name: 'urgent'}));
+      })
+      .then(function() {
+        return tags.all(helper.mailbox);
+      })
+      .then(function(result) {
+        assert(result.length === 3);
+        done();
+      })
+      .done();
+  });
+
+  it('should only tag messages with tags of their mailbox', function(done) {
+    var tags = helper.dal.tag;
+    var messageTags = helper.dal.messageTag;
+
+    helper.dal.mailbox.get('1111', helper.context)
+      .then(function(other) {
+        return tags.save(tags.create(null, other, {name: 'other'}));
+      })
+      .then(function(otherTag) {
+        return messageTags.tag(messages[0], otherTag);
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/does not apply to the mailbox/));
+
+        return helper.dal.context.save(
+          helper.dal.context.create('asterisk.org'));
+      })
+      .then(function() {
+        return helper.dal.context.get('asterisk.org');
+      })
+      .then(function(context) {
+        return tags.save(tags.create(context, null, {name: 'other'}));
+      })
+      .then(function(otherTag) {
+        return messageTags.tag(messages[0], otherTag);
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/does not apply to the mailbox/));
+
+        return messageTags.all(messages[0]);
+      })
+      .then(function(result) {
+        assert(result.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should support tagging and untagging messages', function(done) {
+    var messageTags = helper.dal.messageTag;
+    var message = messages[0];
+
+    messageTags.tag(message, urgentTag)
+      .then(function(tagged) {
+        assert(tagged === true);
+
+        return messageTags.tag(message, urgentTag);
+      })
+      .then(function(tagged) {
+        assert(tagged === false);
+
+        return messageTags.tag(message, billingTag);
+      })
+      .then(function() {
+        return messageTags.all(message);
+      })
+      .then(function(tags) {
+        assert(tags.length === 2);
+        assert(tags[0].name === 'billing');
+        assert(tags[1].name === 'urgent');
+        assert(tags[1].getContext() === helper.context);
+
+        return messageTags.untag(message, urgentTag);
+      })
+      .then(function() {
+        return messageTags.all(message);
+      })
+      .then(function(tags) {
+        assert(tags.length === 1);
+        assert(tags[0].getId() === billingTag.getId());
+        done();
+      })
+      .done();
+  });
+
+  it('should support finding messages by tag', function(done) {
+    var messageTags = helper.dal.messageTag;
+    var find = helper.dal.message.find.bind(helper.dal.message);
+
+    messageTags.tag(messages[0], urgentTag)
+      .then(function() {
+        return messageTags.tag(messages[1], urgentTag);
+      })
+      .then(function() {
+        return messageTags.tag(messages[1], billingTag);
+      })
+      .then(function() {
+        return find(helper.mailbox, {tags: urgentTag, sort: 'id'});
+      })
+      .then(function(found) {
+        assert(found.length === 2);
+        assert(found[0].getId() === messages[0].getId());
+        assert(found[1].getId() === messages[1].getId());
+
+        return find(helper.mailbox, {tags: [urgentTag, billingTag]});
+      })
+      .then(function(found) {
+        assert(found.length === 1);
+        assert(found[0].getId() === messages[1].getId());
+        done();
+      })
+      .done();
+  });
+
+  it('should untag messages when removing a tag', function(done) {
+    var messageTags = helper.dal.messageTag;
+    var message = messages[0];
+
+    messageTags.tag(message, urgentTag)
+      .then(function() {
+        return helper.dal.tag.remove(urgentTag);
+      })
+      .then(function() {
+        return messageTags.all(message);
+      })
+      .then(function(tags) {
+        assert(tags.length === 0);
+
+        return helper.dal.tag.all(helper.mailbox);
+      })
+      .then(function(tags) {
+        assert(tags.length === 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should be untagged when deleting a message', function(done) {
+    var message = messages[0];
+
+    helper.dal.messageTag.tag(message, urgentTag)
+      .then(function() {
+        return helper.dal.message.remove(message);
+      })
+      .then(function() {
+        return helper.dal.messageTag.all(message);
+      })
+      .then(function(tags) {
+        assert(tags.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should be added to schemas created before migrations', function(done) {
+    var dal = helper.dal;
+
+    dal.migrate(0)
+      .then(function() {
+        return dal.tag.all(helper.mailbox);
+      })
+      .catch(function(err) {
+        // the table does not exist before migrating
+        assert(err);
+
+        return dal.migrate();
+      })
+      .then(function(version) {
+        assert(version === migrations.length);
+
+        return dal.tag.save(dal.tag.create(
+          helper.context, null, {name: 'urgent'}));
+      })
+      .then(function(tag) {
+        return dal.messageTag.tag(messages[0], tag);
+      })
+      .then(function(tagged) {
+        assert(tagged === true);
+        done();
+      })
+      .done();
+  });
+});
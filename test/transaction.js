@@ -0,0 +1,167 @@
+/**
+ *  Cross repository transaction unit tests.
+ *
+ *  @module tests-transaction
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var common = require('./helpers/common.js');
+var Q = require('q');
+
+describe('transaction', function () {
+  var config = common.getConfig();
+  var helper;
+  var mwi = function() {
+    /*jshint newcap:false*/
+    return Q();
+  };
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+        done();
+      })
+      .done();
+  });
+
+  /**
+   * Returns a new message instance for the test mailbox.
+   */
+  function newMessage(repo) {
+    var instance = repo.create(helper.mailbox, helper.folders['0'], {
+      recording: 'transaction-message.wav',
+      callerId: 'John Smith',
+      duration: 10
+    });
+    instance.init();
+
+    return instance;
+  }
+
+  it('should commit work across repositories', function(done) {
+    helper.dal.transaction(function(tx) {
+      return tx.message.save(newMessage(tx.message))
+        .then(function() {
+          return tx.mailbox.newMessage(helper.mailbox, mwi);
+        });
+    })
+      .then(function(counts) {
+        assert(counts.unread === 2);
+
+        return helper.dal.message.countByMailbox(helper.mailbox);
+      })
+      .then(function(count) {
+        assert(count === 3);
+
+        return helper.dal.mailbox.get('1234', helper.context);
+      })
+      .then(function(mailbox) {
+        assert(mailbox.unread === 2);
+        done();
+      })
+      .done();
+  });
+
+  it('should roll back all work on failure', function(done) {
+    helper.dal.transaction(function(tx) {
+      return tx.message.save(newMessage(tx.message))
+        .then(function() {
+          return tx.mailbox.newMessage(helper.mailbox, function() {
+            throw new Error('mwi failed');
+          });
+        });
+    })
+      .catch(function(err) {
+        assert(~err.toString().search(/mwi failed/));
+
+        return helper.dal.message.countByMailbox(helper.mailbox);
+      })
+      .then(function(count) {
+        assert(count === 2);
+
+        return helper.dal.mailbox.get('1234', helper.context);
+      })
+      .then(function(mailbox) {
+        assert(mailbox.unread === 1);
+        done();
+      })
+      .done();
+  });
+
+  it('should keep writes made outside of it on rollback', function(done) {
+    // the store of the memory provider is shared, writes made outside of a
+    // transaction must not be rolled back with it
+    var memory = {
+      connectionString: 'transaction-tests',
+      provider: 'memory'
+    };
+    var dal;
+    var outside;
+
+    common.populateDb(memory)
+      .then(function(memoryHelper) {
+        dal = memoryHelper.dal;
+
+        return dal.transaction(function(tx) {
+          return tx.context.save(tx.context.create('inside.com'))
+            .then(function() {
+              outside = dal.context.save(dal.context.create('outside.com'));
+
+              throw new Error('work failed');
+            });
+        });
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/work failed/));
+
+        return outside;
+      })
+      .then(function() {
+        return dal.context.get('outside.com');
+      })
+      .then(function(context) {
+        assert(context.domain === 'outside.com');
+
+        return dal.context.get('inside.com');
+      })
+      .then(function(context) {
+        assert(context === null);
+        done();
+      })
+      .done();
+  });
+
+  it('should roll back when a nested operation failed', function(done) {
+    helper.dal.transaction(function(tx) {
+      return tx.message.save(newMessage(tx.message))
+        .then(function() {
+          return tx.mailbox.newMessage(helper.mailbox, function() {
+            throw new Error('mwi failed');
+          });
+        })
+        .catch(function() {
+          // ignore the failure, the transaction should still roll back
+        });
+    })
+      .catch(function(err) {
+        assert(~err.toString().search(/rolled back by a nested operation/));
+
+        return helper.dal.message.countByMailbox(helper.mailbox);
+      })
+      .then(function(count) {
+        assert(count === 2);
+        done();
+      })
+      .done();
+  });
+});
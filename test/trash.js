@@ -0,0 +1,406 @@
+/**
+ *  Soft delete unit tests.
+ *
+ *  @module tests-trash
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var common = require('./helpers/common.js');
+var moment = require('moment');
+var Q = require('q');
+
+describe('trash', function () {
+  var config = common.getConfig();
+  var helper;
+
+  config.softDelete = true;
+  config.trashDays = 30;
+
+  beforeEach(function (done) {
+    common.populateDb(config)
+      .then(function(testHelper) {
+        helper = testHelper;
+        done();
+      })
+      .done();
+  });
+
+  /**
+   * Returns the messages of the test mailbox inbox.
+   */
+  function inbox() {
+    return helper.dal.message.all(helper.mailbox, helper.folders['0']);
+  }
+
+  it('should move removed messages to the trash', function(done) {
+    var mailbox = helper.mailbox;
+
+    inbox()
+      .then(function(messages) {
+        return helper.dal.message.remove(messages[0]);
+      })
+      .then(function() {
+        return helper.dal.message.countByMailbox(mailbox);
+      })
+      .then(function(count) {
+        assert(count === 1);
+
+        return inbox();
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'myothermessage');
+
+        return helper.dal.message.trash(mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].recording === 'mymessage');
+        assert(moment.isMoment(messages[0].deletedAt));
+
+        return helper.dal.message.restore(messages[0]);
+      })
+      .then(function(message) {
+        assert(!message.deletedAt);
+
+        return helper.dal.message.countByMailbox(mailbox);
+      })
+      .then(function(count) {
+        assert(count === 2);
+
+        return helper.dal.message.trash(mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should move many removed messages to the trash', function(done) {
+    var ids;
+
+    inbox()
+      .then(function(messages) {
+        ids = messages.map(function(message) {
+          return message.getId();
+        });
+
+        return helper.dal.message.removeMany(ids);
+      })
+      .then(function(result) {
+        assert(result.messages.length === 2);
+        assert(result.read === -1);
+        assert(result.unread === -1);
+
+        return helper.dal.message.removeMany(ids);
+      })
+      .then(function(result) {
+        // messages already in the trash are left untouched
+        assert(result.messages.length === 0);
+
+        return helper.dal.message.trash(helper.mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 2);
+        done();
+      })
+      .done();
+  });
+
+  it('should not mark messages in the trash', function(done) {
+    var unread;
+    var read;
+
+    inbox()
+      .then(function(messages) {
+        unread = messages.filter(function(message) {
+          return !message.read;
+        })[0];
+        read = messages.filter(function(message) {
+          return message.read;
+        })[0];
+
+        return helper.dal.message.remove(unread);
+      })
+      .then(function() {
+        return helper.dal.message.remove(read);
+      })
+      .then(function() {
+        return helper.dal.message.markManyAsRead([unread.getId()]);
+      })
+      .then(function(result) {
+        // trashed messages were already removed from the mailbox counts
+        assert(result.messages.length === 0);
+        assert(result.read === 0);
+        assert(result.unread === 0);
+
+        return helper.dal.message.markAsRead(unread);
+      })
+      .then(function(updated) {
+        assert(updated === false);
+
+        return helper.dal.message.markAsUnread(read);
+      })
+      .then(function(updated) {
+        assert(updated === false);
+
+        return helper.dal.message.trash(helper.mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 2);
+        messages.forEach(function(message) {
+          assert(message.read === (message.getId() === read.getId()));
+        });
+        done();
+      })
+      .done();
+  });
+
+  it('should not move messages in the trash', function(done) {
+    var removed;
+
+    inbox()
+      .then(function(messages) {
+        removed = messages[0];
+
+        return helper.dal.message.remove(removed);
+      })
+      .then(function() {
+        return helper.dal.message.moveMany(
+          [removed.getId()], helper.folders['1']);
+      })
+      .then(function(result) {
+        assert(result.messages.length === 0);
+
+        return helper.dal.message.trash(helper.mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].getFolder().getId() ===
+               helper.folders['0'].getId());
+        done();
+      })
+      .done();
+  });
+
+  it('should keep the trash settings in bound repositories', function(done) {
+    // record the config of every message and mailbox repository created
+    var configs = [];
+    var modules = ['message', 'mailbox'].map(function(name) {
+      return require.cache[require.resolve(
+        '../lib/repositories/' + name + '.js')];
+    });
+    var originals = modules.map(function(repoModule) {
+      var original = repoModule.exports;
+
+      repoModule.exports = function(repoConfig, dependencies) {
+        configs.push(repoConfig);
+
+        return original(repoConfig, dependencies);
+      };
+
+      return original;
+    });
+
+    inbox()
+      .then(function(messages) {
+        return helper.dal.message.changeFolder(
+          messages[0], helper.folders['1']);
+      })
+      .then(function(message) {
+        return helper.dal.message.forward(
+          message, helper.mailbox, helper.folders['0']);
+      })
+      .finally(function() {
+        modules.forEach(function(repoModule, i) {
+          repoModule.exports = originals[i];
+        });
+      })
+      .then(function() {
+        assert(configs.length > 0);
+        configs.forEach(function(repoConfig) {
+          assert(repoConfig.softDelete === true);
+          assert(repoConfig.trashDays === 30);
+        });
+        done();
+      })
+      .done();
+  });
+
+  it('should restore messages to the mailbox counts', function(done) {
+    var messages = helper.dal.message;
+    var calls = [];
+    var mwi = function(read, unread) {
+      calls.push([read, unread]);
+
+      /*jshint newcap:false*/
+      return Q();
+    };
+    var counts = function() {
+      return helper.dal.mailbox.get('1234', helper.context)
+        .then(function(mailbox) {
+          return [mailbox.read, mailbox.unread];
+        });
+    };
+    var ids;
+
+    inbox()
+      .then(function(inboxMessages) {
+        ids = inboxMessages.map(function(message) {
+          return message.getId();
+        });
+
+        /*jshint newcap:false*/
+        return inboxMessages.reduce(function(series, message) {
+          return series.then(function() {
+            return messages.remove(message);
+          })
+            .then(function() {
+              return helper.dal.mailbox.deletedMessage(
+                helper.mailbox, message.read, mwi);
+            });
+        }, Q());
+      })
+      .then(function() {
+        return counts();
+      })
+      .then(function(result) {
+        assert.deepEqual(result, [0, 0]);
+
+        return messages.trash(helper.mailbox);
+      })
+      .then(function(trashed) {
+        /*jshint newcap:false*/
+        return trashed.reduce(function(series, message) {
+          return series.then(function() {
+            return messages.restore(message, 'user:1234', mwi);
+          });
+        }, Q());
+      })
+      .then(function() {
+        assert(calls.length === 4);
+
+        return counts();
+      })
+      .then(function(result) {
+        assert.deepEqual(result, [1, 1]);
+
+        // the message is no longer in the trash
+        return messages.restore(messages.create(
+          helper.mailbox, helper.folders['0'], ids[0]));
+      })
+      .catch(function(err) {
+        assert(~err.toString().search(/is not in the trash/));
+
+        return Q.all([counts(), messages.history({
+          getId: function() {
+            return ids[0];
+          }
+        })]);
+      })
+      .then(function(results) {
+        assert.deepEqual(results[0], [1, 1]);
+        assert.deepEqual(results[1].map(function(entry) {
+          return entry.action;
+        }), ['created', 'deleted', 'restored']);
+        done();
+      })
+      .done();
+  });
+
+  it('should exclude the trash when streaming all messages', function(done) {
+    var recordings = function(stream) {
+      var deferred = Q.defer();
+      var result = [];
+
+      stream.on('data', function(message) {
+        result.push(message.recording);
+      });
+      stream.on('end', function() {
+        deferred.resolve(result.sort());
+      });
+      stream.on('error', deferred.reject);
+
+      return deferred.promise;
+    };
+
+    inbox()
+      .then(function(messages) {
+        return helper.dal.message.remove(messages[0]);
+      })
+      .then(function() {
+        return recordings(helper.dal.message.streamAll());
+      })
+      .then(function(result) {
+        assert.deepEqual(result, ['myothermessage']);
+
+        return recordings(helper.dal.message.streamAll({deleted: true}));
+      })
+      .then(function(result) {
+        assert.deepEqual(result, ['mymessage', 'myothermessage']);
+        done();
+      })
+      .done();
+  });
+
+  it('should exclude the trash from mwi counts', function(done) {
+    var mailbox = helper.mailbox;
+
+    inbox()
+      .then(function(messages) {
+        return helper.dal.message.remove(messages[0]);
+      })
+      .then(function() {
+        return helper.dal.mailbox.recountMwi(mailbox);
+      })
+      .then(function(counts) {
+        assert(counts.read === 1);
+        assert(counts.unread === 0);
+        done();
+      })
+      .done();
+  });
+
+  it('should purge messages after the trash delay', function(done) {
+    var mailbox = helper.mailbox;
+
+    inbox()
+      .then(function(messages) {
+        return helper.dal.message.remove(messages[0]);
+      })
+      .then(function() {
+        return helper.dal.message.purgeDeleted();
+      })
+      .then(function(removed) {
+        assert(removed.length === 0);
+
+        return helper.dal.message.purgeDeleted(moment.utc().add(31, 'days'));
+      })
+      .then(function(removed) {
+        assert(removed.length === 1);
+        assert(removed[0].recording === 'mymessage');
+
+        return helper.dal.message.trash(mailbox);
+      })
+      .then(function(messages) {
+        assert(messages.length === 0);
+
+        return helper.dal.message.countByMailbox(mailbox);
+      })
+      .then(function(count) {
+        assert(count === 1);
+        done();
+      })
+      .done();
+  });
+});